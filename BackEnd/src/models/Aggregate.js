@@ -15,6 +15,11 @@ const aggregateSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  provider: {
+    type: String,
+    default: 'aws',
+    index: true
+  },
   accountId: {
     type: String,
     index: true
@@ -27,29 +32,50 @@ const aggregateSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // Set on tag buckets, which repeat the account/service/region buckets split by the value
+  // of one configured tag key (AGGREGATE_TAG_KEYS); 'untagged' when a line item lacks the tag
   tagKey: String,
   tagValue: String,
+  // Set on usage buckets, which split the account/service/region buckets by
+  // usage type (e.g. 'BoxUsage:t3.micro', 'DataTransfer-Out-Bytes') and operation
+  usageType: String,
+  operation: String,
+  // What the charges are: usage, fee, credit, refund, tax or support (see BillingLineItem)
+  chargeCategory: String,
   
-  // Aggregation type: daily, monthly
+  // Aggregation type: hourly (kept for HOURLY_AGGREGATE_RETENTION_DAYS only), daily, and the
+  // rollups of the daily buckets: ISO weeks, months, and fiscal quarters and years (see
+  // User.reporting.fiscalYearStartMonth). Buckets are dated by the start of their period.
   aggregationType: {
     type: String,
-    enum: ['daily', 'monthly'],
+    enum: ['hourly', 'daily', 'weekly', 'monthly', 'quarterly', 'fiscalYear'],
     required: true,
     index: true
   },
   
   // Aggregated metrics
+  // Unblended cost, and the other cost measures (see utils/costMetric)
   totalCost: {
     type: Number,
     required: true
   },
+  totalBlendedCost: Number,
+  totalAmortizedCost: Number,
+  totalNetAmortizedCost: Number,
+  // Reporting currency the costs were converted into (see User.reporting.currency)
+  currency: String,
   totalUsageQuantity: Number,
   lineItemCount: Number,
   
-  // Trend metrics
+  // Trend metrics: vs. the previous period (hour, day, week, ...) of the same bucket
   previousPeriodCost: Number,
   costVariance: Number,
-  costVariancePercent: Number,
+  costVariancePercent: Number, // null when the previous period cost nothing
+  // vs. the same period a cycle earlier: the same hour yesterday, the same weekday last week, or
+  // the same week, month or quarter last year (fiscal years compare with the previous one)
+  seasonalPeriodCost: Number,
+  seasonalVariance: Number,
+  seasonalVariancePercent: Number,
   
   // Computed at
   computedAt: {
@@ -64,7 +90,16 @@ const aggregateSchema = new mongoose.Schema({
 aggregateSchema.index({ userId: 1, date: -1, accountId: 1, service: 1, aggregationType: 1 });
 aggregateSchema.index({ userId: 1, date: -1, service: 1, aggregationType: 1 });
 aggregateSchema.index({ userId: 1, date: -1, region: 1, aggregationType: 1 });
+aggregateSchema.index({ userId: 1, date: -1, provider: 1, aggregationType: 1 });
 aggregateSchema.index({ userId: 1, aggregationType: 1, date: -1 });
+aggregateSchema.index({ userId: 1, aggregationType: 1, tagKey: 1, tagValue: 1, date: -1 });
+aggregateSchema.index({ userId: 1, aggregationType: 1, usageType: 1, operation: 1, date: -1 });
+
+// Query conditions selecting one grain. Tag and usage buckets cover the same costs again, so
+// every query reads only one of the account/service/region, tag or usage grains.
+aggregateSchema.statics.BASE_GRAIN = { tagKey: null, usageType: null };
+aggregateSchema.statics.TAG_GRAIN = { tagKey: { $ne: null } };
+aggregateSchema.statics.USAGE_GRAIN = { usageType: { $ne: null } };
 
 module.exports = mongoose.model('Aggregate', aggregateSchema);
 
@@ -19,6 +19,7 @@ const anomalySchema = new mongoose.Schema({
     required: false, // Made optional for backward compatibility with existing data
     index: true
   },
+  provider: String,
   accountId: String,
   service: String,
   region: String,
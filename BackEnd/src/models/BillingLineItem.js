@@ -21,8 +21,46 @@ const billingLineItemSchema = new mongoose.Schema({
   unblendedRate: Number,
   unblendedCost: Number,
   resourceId: String,
+
+  // Cost and Usage Report (CUR / CUR 2.0) fields
+  lineItemId: String,
+  billingPeriodStartDate: Date,
+  billingPeriodEndDate: Date,
+  // Billing month ('YYYY-MM') the line item was invoiced in
+  billingPeriod: String,
+  currencyCode: String,
+  productFamily: String,
+  productRegion: String,
+  instanceType: String,
+  sku: String,
+  pricingTerm: String,
+  pricingUnit: String,
+  publicOnDemandRate: Number,
+  publicOnDemandCost: Number,
+  reservationArn: String,
+  reservationEffectiveCost: Number,
+  reservationNetEffectiveCost: Number,
+  reservationAmortizedUpfrontFee: Number,
+  reservationUnusedAmortizedUpfrontFee: Number,
+  reservationUnusedRecurringFee: Number,
+  savingsPlanArn: String,
+  savingsPlanEffectiveCost: Number,
+  savingsPlanNetEffectiveCost: Number,
+  savingsPlanTotalCommitment: Number,
+  savingsPlanUsedCommitment: Number,
+  // Unblended cost after negotiated discounts (EDP, private pricing)
+  netUnblendedCost: Number,
+
+  // Amortized cost including commitment discounts (FOCUS EffectiveCost)
+  effectiveCost: Number,
   
   // Normalized fields
+  provider: {
+    type: String,
+    enum: ['aws', 'azure', 'gcp', 'other'],
+    default: 'aws',
+    index: true
+  },
   accountId: {
     type: String,
     required: true,
@@ -43,6 +81,15 @@ const billingLineItemSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Cost measures next to cost (unblended): reservation and Savings Plan fees spread over the
+  // usage they cover, before and after negotiated discounts (see adapterUtils.amortizeCost)
+  amortizedCost: Number,
+  netAmortizedCost: Number,
+  // What the charge is, from recordType
+  chargeCategory: {
+    type: String,
+    enum: ['usage', 'fee', 'credit', 'refund', 'tax', 'support']
+  },
   usageQuantityNormalized: Number,
   
   // Tags (stored as key-value pairs)
@@ -60,6 +107,14 @@ const billingLineItemSchema = new mongoose.Schema({
     index: true
   },
   
+  // Deterministic hash of the line item identity (see ingestionService.computeFingerprint)
+  fingerprint: String,
+  // Incremented each time a re-upload supersedes the line item in 'version' mode
+  version: {
+    type: Number,
+    default: 1
+  },
+
   // Metadata
   ingestionJobId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -87,6 +142,13 @@ billingLineItemSchema.index({ userId: 1, accountId: 1, region: 1, ingestionDate:
 billingLineItemSchema.index({ userId: 1, service: 1, ingestionDate: -1 });
 billingLineItemSchema.index({ userId: 1, ingestionDate: -1, cost: -1 });
 billingLineItemSchema.index({ userId: 1, 'tags': 1, ingestionDate: -1 });
+// Billing-period replacement of restated bills
+billingLineItemSchema.index({ userId: 1, provider: 1, payerAccountId: 1, billingPeriod: 1 });
+// One line item per identity; rows ingested before fingerprinting are exempt
+billingLineItemSchema.index(
+  { userId: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { fingerprint: { $exists: true } } }
+);
 
 module.exports = mongoose.model('BillingLineItem', billingLineItemSchema);
 
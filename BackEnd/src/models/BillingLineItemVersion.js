@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Superseded copy of a line item, kept when a re-upload replaces or removes it, so deleting
+// that upload's job can restore it
+const billingLineItemVersionSchema = new mongoose.Schema({
+  billingLineItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BillingLineItem',
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // The line item as it was before being superseded
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  supersededAt: {
+    type: Date,
+    default: Date.now
+  },
+  supersededByJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob',
+    index: true
+  },
+  // Duplicate mode of the superseding job
+  duplicateMode: {
+    type: String,
+    enum: ['replace', 'version', 'period'],
+    default: 'version'
+  }
+}, {
+  timestamps: true
+});
+
+billingLineItemVersionSchema.index({ userId: 1, fingerprint: 1, version: -1 });
+
+module.exports = mongoose.model('BillingLineItemVersion', billingLineItemVersionSchema);
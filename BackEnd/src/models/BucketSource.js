@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { encryptSecret } = require('../utils/secrets');
+
+// An S3-compatible bucket the nightly run pulls new billing exports (e.g. CUR) from
+const bucketSourceSchema = new mongoose.Schema({
+  // User association
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Leave empty for AWS S3; set for MinIO or another S3-compatible service, e.g. http://localhost:9000
+  endpoint: String,
+  region: {
+    type: String,
+    default: 'us-east-1'
+  },
+  bucket: {
+    type: String,
+    required: true
+  },
+  // Report path prefix, e.g. 'cur/my-report/'
+  prefix: {
+    type: String,
+    default: ''
+  },
+  // Without credentials the default AWS credential chain is used
+  accessKeyId: String,
+  // Encrypted at rest (see utils/secrets)
+  secretAccessKey: {
+    type: String,
+    select: false // never returned by the API
+  },
+  // Path-style URLs (endpoint/bucket/key), which MinIO needs
+  forcePathStyle: {
+    type: Boolean,
+    default: true
+  },
+  mappingProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MappingProfile'
+  },
+  // 'replace' by default: restated reports rewrite rows in place, and each file of a
+  // multi-part report only touches its own rows (unlike 'period')
+  duplicateMode: {
+    type: String,
+    enum: ['skip', 'replace', 'version', 'period'],
+    default: 'replace'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastSyncedAt: Date,
+  lastError: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bucketSourceSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Encrypt the secret before saving it
+bucketSourceSchema.pre('save', function(next) {
+  if (this.isModified('secretAccessKey')) {
+    this.secretAccessKey = encryptSecret(this.secretAccessKey);
+  }
+  next();
+});
+
+module.exports = mongoose.model('BucketSource', bucketSourceSchema);
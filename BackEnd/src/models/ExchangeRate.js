@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Exchange rates are shared by all users and managed by admins
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 code, e.g. 'EUR'
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/
+  },
+  // Units of the currency per unit of the base currency (EXCHANGE_RATE_BASE_CURRENCY)
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // UTC day the rate applies from; monthly rates are dated by the first day of their month.
+  // A rate applies until the next rate of its currency.
+  date: {
+    type: Date,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'monthly'],
+    default: 'daily'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, date: -1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
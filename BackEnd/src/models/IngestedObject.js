@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A bucket object version already queued for ingestion, so the nightly sync does not pull it twice
+const ingestedObjectSchema = new mongoose.Schema({
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BucketSource',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // A restated report keeps its key but gets a new ETag, so it is ingested again
+  etag: {
+    type: String,
+    required: true
+  },
+  versionId: String, // set when the bucket has versioning enabled
+  size: Number,
+  lastModified: Date,
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
+  }
+}, {
+  timestamps: true
+});
+
+ingestedObjectSchema.index({ sourceId: 1, key: 1, etag: 1 }, { unique: true });
+
+module.exports = mongoose.model('IngestedObject', ingestedObjectSchema);
@@ -1,15 +1,35 @@
 const mongoose = require('mongoose');
 
 const ingestionJobSchema = new mongoose.Schema({
+  // 'ingest' jobs read a billing file; 'reaggregate' jobs rebuild a user's aggregates
+  type: {
+    type: String,
+    enum: ['ingest', 'reaggregate'],
+    default: 'ingest'
+  },
+  // What a 'reaggregate' job rebuilds: the aggregates of these months ('YYYY-MM'), or only
+  // these rollups; all of the user's aggregates when both are empty
+  aggregation: {
+    months: [String],
+    rollups: [String]
+  },
   fileName: {
     type: String,
     required: true
   },
   filePath: String,
   fileSize: Number,
+  // Where the file came from: an upload, a file picked up from the watched drop folder,
+  // or an object pulled from a bucket source
+  source: {
+    type: String,
+    enum: ['upload', 'dropFolder', 's3'],
+    default: 'upload'
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'partial'],
+    // 'preview' jobs hold a dry-run upload until the user confirms or cancels it
+    enum: ['preview', 'pending', 'processing', 'completed', 'failed', 'partial', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -25,6 +45,51 @@ const ingestionJobSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // How rows already ingested by an earlier upload (same fingerprint) are handled:
+  // skip them, replace them in place, replace them keeping the old row as a version,
+  // or replace the whole billing period of each account the file covers
+  duplicateMode: {
+    type: String,
+    enum: ['skip', 'replace', 'version', 'period'],
+    default: 'skip'
+  },
+  rowsDuplicate: {
+    type: Number,
+    default: 0
+  },
+  rowsReplaced: {
+    type: Number,
+    default: 0
+  },
+  // Rows of a replaced billing period that the restated file no longer contains
+  rowsSuperseded: {
+    type: Number,
+    default: 0
+  },
+  // Live progress, saved periodically while the job runs (streamed by GET /api/job/:id/events)
+  progress: {
+    phase: {
+      type: String,
+      enum: ['parsing', 'inserting', 'aggregating', 'finished']
+    },
+    rowsRead: Number,
+    bytesRead: Number, // null for Parquet files, which are not read sequentially
+    bytesTotal: Number,
+    rowsPerSecond: Number,
+    etaSeconds: Number,
+    updatedAt: Date
+  },
+  // Set by POST /api/job/:id/cancel; the worker stops at its next batch boundary
+  cancelRequestedAt: Date,
+  rollbackOnCancel: {
+    type: Boolean,
+    default: false
+  },
+  // Committed rows removed again because the job was cancelled with rollback
+  rowsRolledBack: {
+    type: Number,
+    default: 0
+  },
   errors: [{
     row: Number,
     message: String,
@@ -33,7 +98,39 @@ const ingestionJobSchema = new mongoose.Schema({
   metadata: {
     accountId: String,
     invoiceId: String,
-    billingPeriod: String
+    billingPeriod: String, // 'YYYY-MM', comma-separated when a file spans several periods
+    sourceFormat: {
+      type: String,
+      enum: ['dbr', 'cur', 'cur2', 'azure', 'gcp', 'focus', 'custom']
+    },
+    fileType: {
+      type: String,
+      enum: ['csv', 'gzip', 'zip', 'parquet', 'jsonl']
+    }
+  },
+  // Work queue state (see queueService)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String, // worker holding the job while it is processing
+  lockedAt: Date, // refreshed by the worker's heartbeat
+  mappingProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MappingProfile'
+  },
+  bucketSourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BucketSource'
+  },
+  // Set on follow-up jobs that re-submit the fixed rejected rows of an earlier job
+  parentJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,6 +148,7 @@ const ingestionJobSchema = new mongoose.Schema({
 
 ingestionJobSchema.index({ userId: 1, status: 1, createdAt: -1 });
 ingestionJobSchema.index({ userId: 1, createdAt: -1 });
+ingestionJobSchema.index({ status: 1, nextRunAt: 1 });
 
 module.exports = mongoose.model('IngestionJob', ingestionJobSchema);
 
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Line item fields a custom source column may be mapped onto
+const MAPPABLE_FIELDS = [
+  'invoiceId',
+  'payerAccountId',
+  'linkedAccountId',
+  'recordType',
+  'productName',
+  'productCode',
+  'usageType',
+  'operation',
+  'availabilityZone',
+  'itemDescription',
+  'usageStartDate',
+  'usageEndDate',
+  'billingPeriodStartDate',
+  'billingPeriodEndDate',
+  'usageQuantity',
+  'blendedRate',
+  'blendedCost',
+  'unblendedRate',
+  'unblendedCost',
+  'effectiveCost',
+  'currencyCode',
+  'productRegion',
+  'resourceId',
+  'sku',
+  'pricingTerm',
+  'pricingUnit'
+];
+
+const mappingProfileSchema = new mongoose.Schema({
+  // User association
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: String,
+  provider: {
+    type: String,
+    enum: ['aws', 'azure', 'gcp', 'other'],
+    default: 'other'
+  },
+
+  // Source column -> line item field. Stored as pairs because CSV headers
+  // may contain characters that are not valid Map keys (e.g. '.').
+  columns: [{
+    _id: false,
+    source: {
+      type: String,
+      required: true
+    },
+    field: {
+      type: String,
+      enum: MAPPABLE_FIELDS,
+      required: true
+    }
+  }],
+  // Source column holding the charge amount (mapped to unblendedCost)
+  costColumn: {
+    type: String,
+    required: true
+  },
+  // Token pattern for date columns, e.g. 'DD/MM/YYYY' or 'YYYY-MM-DD HH:mm:ss'
+  dateFormat: String,
+  // Decimal separator of amounts: '.' (1,234.56) or ',' (1.234,56)
+  decimalSeparator: {
+    type: String,
+    enum: ['.', ','],
+    default: '.'
+  },
+  // Columns starting with this prefix become tags, e.g. 'tag:' or 'Label_'
+  tagPrefix: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mappingProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+mappingProfileSchema.statics.MAPPABLE_FIELDS = MAPPABLE_FIELDS;
+
+module.exports = mongoose.model('MappingProfile', mappingProfileSchema);
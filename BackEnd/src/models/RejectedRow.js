@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A source row an ingestion job could not ingest, kept verbatim with the reason
+// so it can be downloaded, fixed and re-submitted (GET /api/job/:id/rejects.csv)
+const rejectedRowSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rowNumber: Number, // position of the row in the file, as in IngestionJob.errors
+  reason: String,
+  // Column names and values of the raw row; kept as parallel arrays because
+  // column names may contain dots (e.g. flattened JSON Lines fields)
+  columns: [String],
+  values: [String]
+}, {
+  timestamps: true
+});
+
+rejectedRowSchema.index({ jobId: 1, rowNumber: 1 });
+
+module.exports = mongoose.model('RejectedRow', rejectedRowSchema);
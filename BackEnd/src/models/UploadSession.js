@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A resumable, chunked upload in progress (see chunkedUploadService)
+const uploadSessionSchema = new mongoose.Schema({
+  // User association
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalParts: {
+    type: Number,
+    required: true
+  },
+  // 1-based part numbers received so far
+  receivedParts: {
+    type: [Number],
+    default: []
+  },
+  // SHA-256 of each received part, keyed by part number
+  partChecksums: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  // Optional SHA-256 of the whole file, verified on completion
+  checksum: String,
+  tempPath: String,
+  // 'completing' while one request verifies and moves the reassembled file
+  status: {
+    type: String,
+    enum: ['uploading', 'completing', 'completed'],
+    default: 'uploading',
+    index: true
+  },
+
+  // Options applied to the ingestion job created on completion
+  mappingProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MappingProfile'
+  },
+  duplicateMode: {
+    type: String,
+    enum: ['skip', 'replace', 'version', 'period'],
+    default: 'skip'
+  },
+  parentJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
+  },
+  ingestionJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
+  },
+
+  // Pushed forward by every part; unfinished sessions past this are discarded
+  expiresAt: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -33,6 +33,23 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // Reporting calendar: fiscal quarters and years start in this month (1 = January), and days
+  // start at midnight in this IANA timezone (REPORTING_TIMEZONE when unset). Aggregates are
+  // converted into the currency (REPORTING_CURRENCY when unset).
+  reporting: {
+    fiscalYearStartMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: 1
+    },
+    timezone: String,
+    currency: {
+      type: String,
+      uppercase: true,
+      match: /^[A-Z]{3}$/
+    }
   }
 });
 
@@ -3,6 +3,8 @@ const Anomaly = require('../models/Anomaly');
 const anomalyDetectionService = require('../services/anomalyDetectionService');
 const { authenticate } = require('../middleware/auth');
 const { parsePagination, createPaginationResponse } = require('../utils/pagination');
+const { reportingSettings } = require('../utils/reportingSettings');
+const { dateRangeFilter } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -12,20 +14,19 @@ const router = express.Router();
 router.get('/', authenticate, async (req, res, next) => {
   try {
     const { page, limit, skip } = parsePagination(req.query);
-    const { startDate, endDate, accountId, service, severity, acknowledged } = req.query;
+    const { provider, accountId, service, severity, acknowledged } = req.query;
+    const { timezone } = reportingSettings(req.user);
 
     // Filter by user - only show data for the authenticated user
     const query = {
       userId: req.user._id
     };
 
-    if (startDate || endDate) {
-      // Anomaly model uses 'date' field for the anomaly date
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+    // Anomaly model uses 'date' field for the anomaly date
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) query.date = dateFilter;
 
+    if (provider) query.provider = provider;
     if (accountId) query.accountId = accountId;
     if (service) query.service = service;
     if (severity) query.severity = severity;
@@ -57,9 +58,10 @@ router.get('/', authenticate, async (req, res, next) => {
  */
 router.post('/detect', authenticate, async (req, res, next) => {
   try {
-    const { accountId, service, lookbackDays = 30 } = req.body;
+    const { provider, accountId, service, lookbackDays = 30 } = req.body;
 
     const anomalies = await anomalyDetectionService.detectAnomalies({
+      provider,
       accountId,
       service,
       lookbackDays,
@@ -106,17 +108,16 @@ router.patch('/:id/acknowledge', authenticate, async (req, res, next) => {
  */
 router.get('/stats', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { provider } = req.query;
+    const { timezone } = reportingSettings(req.user);
 
     // Filter by user - only show data for the authenticated user
     const query = {
       userId: req.user._id
     };
-    if (startDate || endDate) {
-      query.detectedAt = {};
-      if (startDate) query.detectedAt.$gte = new Date(startDate);
-      if (endDate) query.detectedAt.$lte = new Date(endDate);
-    }
+    if (provider) query.provider = provider;
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) query.detectedAt = dateFilter;
 
     const stats = await Anomaly.aggregate([
       { $match: query },
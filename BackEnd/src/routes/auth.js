@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { validateUserRegistration, validateUserLogin } = require('../utils/validation');
 const { authenticate } = require('../middleware/auth');
+const { reportingSettings } = require('../utils/reportingSettings');
 
 const router = express.Router();
 
@@ -40,7 +41,8 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        reporting: reportingSettings(user)
       }
     });
   } catch (error) {
@@ -84,7 +86,8 @@ router.post('/login', validateUserLogin, async (req, res, next) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        reporting: reportingSettings(user)
       }
     });
   } catch (error) {
@@ -102,7 +105,8 @@ router.get('/me', authenticate, async (req, res) => {
       username: req.user.username,
       email: req.user.email,
       role: req.user.role,
-      lastLogin: req.user.lastLogin
+      lastLogin: req.user.lastLogin,
+      reporting: reportingSettings(req.user)
     }
   });
 });
@@ -2,33 +2,45 @@ const express = require('express');
 const BillingLineItem = require('../models/BillingLineItem');
 const Aggregate = require('../models/Aggregate');
 const { authenticate } = require('../middleware/auth');
+const { FOCUS_EXPORT_COLUMNS, toFocusRecord } = require('../services/adapters/focusAdapter');
 const { parsePagination, createPaginationResponse } = require('../utils/pagination');
+const { toCSVCell } = require('../utils/csv');
+const { validateGrainQuery, grainCondition } = require('../utils/aggregateGrain');
+const { validateCostMetric, lineItemCostExpression, aggregateCostExpression, lineItemCost } = require('../utils/costMetric');
+const { reportingSettings } = require('../utils/reportingSettings');
+const { lineItemConversionStages } = require('../services/exchangeRateService');
+const { dateRangeFilter, startOfDay, startOfHour } = require('../utils/timezone');
 
 const router = express.Router();
 
+// Dimensions /trends can split each date by
+const TREND_DIMENSIONS = ['usageType', 'operation'];
+
+// Bucket sizes /trends can return; hourly buckets only cover the last HOURLY_AGGREGATE_RETENTION_DAYS
+const TREND_PERIODS = Aggregate.schema.path('aggregationType').enumValues;
+
 /**
  * Get line items with filters
  */
 router.get('/line-items', authenticate, async (req, res, next) => {
   try {
     const { page, limit, skip } = parsePagination(req.query);
-    const { startDate, endDate, accountId, service, region, tagKey, tagValue, minCost, maxCost, isAnomaly } = req.query;
+    const { provider, accountId, service, region, chargeCategory, tagKey, tagValue, minCost, maxCost, isAnomaly } = req.query;
+    const { timezone } = reportingSettings(req.user);
 
     // Filter by user - only show data for the authenticated user
     const queryConditions = [
       { userId: req.user._id }
     ];
 
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      queryConditions.push({ usageStartDate: dateFilter });
-    }
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) queryConditions.push({ usageStartDate: dateFilter });
 
+    if (provider) queryConditions.push({ provider });
     if (accountId) queryConditions.push({ accountId });
     if (service) queryConditions.push({ service });
     if (region) queryConditions.push({ region });
+    if (chargeCategory) queryConditions.push({ chargeCategory });
     if (minCost || maxCost) {
       const costFilter = {};
       if (minCost) costFilter.$gte = parseFloat(minCost);
@@ -77,41 +89,58 @@ router.get('/line-items', authenticate, async (req, res, next) => {
 });
 
 /**
- * Get breakdown by dimension
+ * Get breakdown by dimension, summing the cost measure costMetric. dimension=tag groups by
+ * the values of tagKey (one of AGGREGATE_TAG_KEYS); tagKey and tagValue also filter the other dimensions.
+ * dimension=usageType|operation reads the usage buckets, which usageType and operation filter.
  */
 router.get('/by-dimension', authenticate, async (req, res, next) => {
   try {
-    const { dimension = 'service', startDate, endDate, accountId, service, region } = req.query;
+    const {
+      dimension = 'service', provider, accountId, service, region, chargeCategory, tagKey, tagValue, usageType, operation,
+      costMetric = 'unblended'
+    } = req.query;
+    const { timezone, currency } = reportingSettings(req.user);
+
+    const grainError = dimension === 'tag' && !tagKey
+      ? 'dimension=tag requires tagKey'
+      : validateGrainQuery(req.query) || validateCostMetric(req.query);
+    if (grainError) {
+      return res.status(400).json({ error: grainError });
+    }
 
     // Filter by user - only show data for the authenticated user
     const matchConditions = [
       { userId: req.user._id },
-      { aggregationType: 'daily' }
+      { aggregationType: 'daily' },
+      grainCondition(req.query)
     ];
 
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      matchConditions.push({ date: dateFilter });
-    }
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) matchConditions.push({ date: dateFilter });
 
+    if (provider) matchConditions.push({ provider });
     if (accountId) matchConditions.push({ accountId });
     if (service) matchConditions.push({ service });
     if (region) matchConditions.push({ region });
+    if (chargeCategory) matchConditions.push({ chargeCategory });
 
     const matchQuery = { $and: matchConditions };
 
     const groupField = dimension === 'account' ? '$accountId' : 
                        dimension === 'service' ? '$service' : 
-                       dimension === 'region' ? '$region' : '$service';
+                       dimension === 'region' ? '$region' :
+                       dimension === 'provider' ? '$provider' :
+                       dimension === 'chargeCategory' ? '$chargeCategory' :
+                       dimension === 'usageType' ? '$usageType' :
+                       dimension === 'operation' ? '$operation' :
+                       dimension === 'tag' ? '$tagValue' : '$service';
 
     let breakdown = await Aggregate.aggregate([
       { $match: matchQuery },
       {
         $group: {
           _id: groupField,
-          totalCost: { $sum: '$totalCost' },
+          totalCost: { $sum: aggregateCostExpression(costMetric) },
           totalUsage: { $sum: '$totalUsageQuantity' },
           count: { $sum: '$lineItemCount' }
         }
@@ -132,28 +161,37 @@ router.get('/by-dimension', authenticate, async (req, res, next) => {
     if (breakdown.length === 0) {
       const lineItemQuery = { userId: req.user._id };
       
-      if (startDate || endDate) {
-        lineItemQuery.usageStartDate = {};
-        if (startDate) lineItemQuery.usageStartDate.$gte = new Date(startDate);
-        if (endDate) lineItemQuery.usageStartDate.$lte = new Date(endDate);
-      }
+      if (dateFilter) lineItemQuery.usageStartDate = dateFilter;
+      if (provider) lineItemQuery.provider = provider;
       if (accountId) lineItemQuery.accountId = accountId;
       if (service) lineItemQuery.service = service;
       if (region) lineItemQuery.region = region;
+      if (chargeCategory) lineItemQuery.chargeCategory = chargeCategory;
+      if (usageType) lineItemQuery.usageTypeNormalized = usageType;
+      if (operation) lineItemQuery.operation = operation;
+      if (tagValue) lineItemQuery[`tags.${tagKey}`] = tagValue;
 
       const groupFieldMap = {
         'account': 'accountId',
         'service': 'service',
-        'region': 'region'
+        'region': 'region',
+        'provider': 'provider',
+        'chargeCategory': 'chargeCategory',
+        'usageType': 'usageTypeNormalized',
+        'operation': 'operation'
       };
       const fieldName = groupFieldMap[dimension] || 'service';
+      const lineItemGroup = dimension === 'tag'
+        ? { $ifNull: [{ $getField: { field: { $literal: tagKey }, input: '$tags' } }, 'untagged'] }
+        : `$${fieldName}`;
 
       breakdown = await BillingLineItem.aggregate([
         { $match: lineItemQuery },
+        ...lineItemConversionStages(currency, timezone),
         {
           $group: {
-            _id: `$${fieldName}`,
-            totalCost: { $sum: '$cost' },
+            _id: lineItemGroup,
+            totalCost: { $sum: lineItemCostExpression(costMetric) },
             totalUsage: { $sum: '$usageQuantityNormalized' },
             count: { $sum: 1 }
           }
@@ -178,26 +216,31 @@ router.get('/by-dimension', authenticate, async (req, res, next) => {
 });
 
 /**
- * Get heatmap data by region and service
+ * Get heatmap data by region and service, in the cost measure costMetric
  */
 router.get('/heatmap', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate, accountId } = req.query;
+    const { provider, accountId, chargeCategory, costMetric = 'unblended' } = req.query;
+    const { timezone } = reportingSettings(req.user);
+
+    const costMetricError = validateCostMetric(req.query);
+    if (costMetricError) {
+      return res.status(400).json({ error: costMetricError });
+    }
 
     // Filter by user - only show data for the authenticated user
     const matchConditions = [
       { userId: req.user._id },
-      { aggregationType: 'daily' }
+      { aggregationType: 'daily' },
+      Aggregate.BASE_GRAIN
     ];
 
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      matchConditions.push({ date: dateFilter });
-    }
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) matchConditions.push({ date: dateFilter });
 
+    if (provider) matchConditions.push({ provider });
     if (accountId) matchConditions.push({ accountId });
+    if (chargeCategory) matchConditions.push({ chargeCategory });
 
     const matchQuery = { $and: matchConditions };
 
@@ -209,7 +252,7 @@ router.get('/heatmap', authenticate, async (req, res, next) => {
             service: '$service',
             region: '$region'
           },
-          totalCost: { $sum: '$totalCost' }
+          totalCost: { $sum: aggregateCostExpression(costMetric) }
         }
       },
       {
@@ -229,71 +272,134 @@ router.get('/heatmap', authenticate, async (req, res, next) => {
 });
 
 /**
- * Get trends over time
+ * Get trends over time, per hour, day, ISO week, month, fiscal quarter or fiscal year
+ * (period), in the cost measure costMetric. With tagKey (one of AGGREGATE_TAG_KEYS)
+ * each point carries its tagValue, so the series can be grouped by tag. dimension=usageType|operation
+ * returns one point per date and usage type (or operation) instead.
  */
 router.get('/trends', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate, accountId, service, region, period = 'daily' } = req.query;
+    const {
+      provider, accountId, service, region, chargeCategory, tagKey, tagValue, usageType, operation, dimension,
+      period = 'daily', costMetric = 'unblended'
+    } = req.query;
+    const { timezone, currency } = reportingSettings(req.user);
+
+    if (dimension && !TREND_DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({ error: `dimension must be one of: ${TREND_DIMENSIONS.join(', ')}` });
+    }
+
+    if (!TREND_PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${TREND_PERIODS.join(', ')}` });
+    }
+
+    const grainError = validateGrainQuery(req.query) || validateCostMetric(req.query);
+    if (grainError) {
+      return res.status(400).json({ error: grainError });
+    }
 
     // Filter by user - only show data for the authenticated user
     const matchConditions = [
       { userId: req.user._id },
-      { aggregationType: period === 'monthly' ? 'monthly' : 'daily' }
+      { aggregationType: period },
+      grainCondition(req.query)
     ];
 
     // Only add date filter if dates are provided
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      matchConditions.push({ date: dateFilter });
-    }
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) matchConditions.push({ date: dateFilter });
 
+    if (provider) matchConditions.push({ provider });
     if (accountId) matchConditions.push({ accountId });
     if (service) matchConditions.push({ service });
     if (region) matchConditions.push({ region });
+    if (chargeCategory) matchConditions.push({ chargeCategory });
 
     const matchQuery = { $and: matchConditions };
-
-    let trends = await Aggregate.find(matchQuery)
-      .sort({ date: 1 })
-      .select('date totalCost accountId service region')
-      .lean();
+    const cost = aggregateCostExpression(costMetric);
+
+    let trends = dimension
+      ? await Aggregate.aggregate([
+        { $match: matchQuery },
+        { $group: { _id: { date: '$date', value: `$${dimension}` }, totalCost: { $sum: cost } } },
+        { $sort: { '_id.date': 1, totalCost: -1 } },
+        { $project: { _id: 0, date: '$_id.date', [dimension]: '$_id.value', totalCost: 1 } }
+      ])
+      : await Aggregate.aggregate([
+        { $match: matchQuery },
+        { $sort: { date: 1 } },
+        {
+          $project: {
+            date: 1,
+            totalCost: cost,
+            provider: 1,
+            accountId: 1,
+            service: 1,
+            region: 1,
+            chargeCategory: 1,
+            tagKey: 1,
+            tagValue: 1,
+            usageType: 1,
+            operation: 1
+          }
+        }
+      ]);
 
     // Fallback to line items if no aggregates found
     if (trends.length === 0) {
       const lineItemQuery = { userId: req.user._id };
       
-      if (startDate || endDate) {
-        lineItemQuery.usageStartDate = {};
-        if (startDate) lineItemQuery.usageStartDate.$gte = new Date(startDate);
-        if (endDate) lineItemQuery.usageStartDate.$lte = new Date(endDate);
-      }
+      if (dateFilter) lineItemQuery.usageStartDate = dateFilter;
+      if (provider) lineItemQuery.provider = provider;
       if (accountId) lineItemQuery.accountId = accountId;
       if (service) lineItemQuery.service = service;
       if (region) lineItemQuery.region = region;
+      if (chargeCategory) lineItemQuery.chargeCategory = chargeCategory;
+      if (usageType) lineItemQuery.usageTypeNormalized = usageType;
+      if (operation) lineItemQuery.operation = operation;
+      if (tagValue) lineItemQuery[`tags.${tagKey}`] = tagValue;
 
-      const lineItems = await BillingLineItem.find(lineItemQuery)
-        .select('usageStartDate cost accountId service region')
-        .lean();
+      const lineItems = await BillingLineItem.aggregate([
+        { $match: lineItemQuery },
+        {
+          $project: {
+            usageStartDate: 1,
+            ingestionDate: 1,
+            currencyCode: 1,
+            cost: 1,
+            blendedCost: 1,
+            amortizedCost: 1,
+            netAmortizedCost: 1,
+            provider: 1,
+            accountId: 1,
+            service: 1,
+            region: 1,
+            usageTypeNormalized: 1,
+            operation: 1
+          }
+        },
+        ...lineItemConversionStages(currency, timezone)
+      ]);
 
-      // Group by date
+      // Group by date or hour (and usage type or operation)
       const dailyMap = new Map();
       lineItems.forEach(item => {
-        const date = new Date(item.usageStartDate || item.ingestionDate);
-        date.setHours(0, 0, 0, 0);
-        const dateKey = date.toISOString();
+        const itemDate = new Date(item.usageStartDate || item.ingestionDate);
+        const date = period === 'hourly' ? startOfHour(itemDate, timezone) : startOfDay(itemDate, timezone);
+        const value = dimension === 'usageType' ? item.usageTypeNormalized : item[dimension];
+        const dateKey = dimension ? `${date.toISOString()}_${value}` : date.toISOString();
         
         if (!dailyMap.has(dateKey)) {
-          dailyMap.set(dateKey, {
+          dailyMap.set(dateKey, dimension ? { date, [dimension]: value || 'unknown', totalCost: 0 } : {
             date,
             totalCost: 0,
+            provider: item.provider,
             accountId: item.accountId,
             service: item.service,
             region: item.region
           });
         }
-        dailyMap.get(dateKey).totalCost += item.cost || 0;
+        dailyMap.get(dateKey).totalCost += lineItemCost(item, costMetric);
       });
       
       trends = Array.from(dailyMap.values())
@@ -306,5 +412,64 @@ router.get('/trends', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * Export line items as a FOCUS dataset (CSV or JSON Lines)
+ */
+router.get('/focus', authenticate, async (req, res, next) => {
+  try {
+    const { provider, accountId, service, region, format = 'csv' } = req.query;
+    const { timezone } = reportingSettings(req.user);
+
+    if (!['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or jsonl' });
+    }
+
+    // Filter by user - only export data for the authenticated user
+    const query = { userId: req.user._id };
+
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) query.usageStartDate = dateFilter;
+    if (provider) query.provider = provider;
+    if (accountId) query.accountId = accountId;
+    if (service) query.service = service;
+    if (region) query.region = region;
+
+    const fileName = `focus-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    if (format === 'csv') {
+      res.write(FOCUS_EXPORT_COLUMNS.join(',') + '\n');
+    }
+
+    const cursor = BillingLineItem.find(query)
+      .sort({ usageStartDate: 1 })
+      .lean()
+      .cursor();
+
+    for await (const item of cursor) {
+      const record = toFocusRecord(item);
+      const line = format === 'csv'
+        ? FOCUS_EXPORT_COLUMNS.map(column => toCSVCell(record[column])).join(',')
+        : JSON.stringify(record);
+
+      // Respect backpressure so large exports are not buffered in memory
+      if (!res.write(line + '\n')) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,196 @@
+const express = require('express');
+const winston = require('winston');
+const BucketSource = require('../models/BucketSource');
+const IngestedObject = require('../models/IngestedObject');
+const MappingProfile = require('../models/MappingProfile');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateBucketSource } = require('../utils/validation');
+const bucketSourceService = require('../services/bucketSourceService');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'name', 'endpoint', 'region', 'bucket', 'prefix', 'accessKeyId', 'secretAccessKey',
+  'forcePathStyle', 'mappingProfileId', 'duplicateMode', 'enabled'
+];
+
+/**
+ * Pick the editable source fields from a request body. An empty secret keeps the stored one.
+ */
+function pickSourceFields(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (!fields.secretAccessKey) delete fields.secretAccessKey;
+  if (fields.mappingProfileId === '') fields.mappingProfileId = null;
+  return fields;
+}
+
+/**
+ * Source as returned by the API, without its secret
+ */
+function formatSource(source) {
+  const { secretAccessKey, ...rest } = source.toObject ? source.toObject() : source;
+  return rest;
+}
+
+/**
+ * Check that a mapping profile referenced by a source belongs to the user
+ */
+async function mappingProfileExists(userId, mappingProfileId) {
+  if (!mappingProfileId) return true;
+  return Boolean(await MappingProfile.exists({ _id: mappingProfileId, userId }));
+}
+
+/**
+ * Get bucket sources
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    // Filter by user - only show sources for the authenticated user
+    const sources = await BucketSource.find({ userId: req.user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.json(sources);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get bucket source details
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const source = await BucketSource.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the source
+    }).lean();
+
+    if (!source) {
+      return res.status(404).json({ error: 'Bucket source not found' });
+    }
+
+    res.json(source);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create bucket source
+ */
+router.post('/', authenticate, authorize('admin'), validateBucketSource, async (req, res, next) => {
+  try {
+    const existing = await BucketSource.findOne({ userId: req.user._id, name: req.body.name });
+    if (existing) {
+      return res.status(400).json({ error: 'A bucket source with this name already exists' });
+    }
+
+    const fields = pickSourceFields(req.body);
+    if (!await mappingProfileExists(req.user._id, fields.mappingProfileId)) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    const source = await BucketSource.create({
+      ...fields,
+      userId: req.user._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(formatSource(source));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update bucket source
+ */
+router.put('/:id', authenticate, authorize('admin'), validateBucketSource, async (req, res, next) => {
+  try {
+    const source = await BucketSource.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the source
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Bucket source not found' });
+    }
+
+    const fields = pickSourceFields(req.body);
+    if (!await mappingProfileExists(req.user._id, fields.mappingProfileId)) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    source.set(fields);
+    await source.save();
+
+    res.json(formatSource(source));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete bucket source. Jobs it queued, and their data, are kept.
+ */
+router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await BucketSource.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the source
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Bucket source not found' });
+    }
+
+    await IngestedObject.deleteMany({ sourceId: req.params.id });
+
+    res.json({ message: 'Bucket source deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pull new files from a bucket source now instead of waiting for the nightly run
+ */
+router.post('/:id/sync', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const source = await BucketSource.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the source
+    }).select('+secretAccessKey');
+
+    if (!source) {
+      return res.status(404).json({ error: 'Bucket source not found' });
+    }
+
+    const logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()]
+    });
+
+    let jobs;
+    try {
+      jobs = await bucketSourceService.syncBucketSource(source, logger);
+    } catch (error) {
+      // Connection and permission problems are reported to the caller, not as server errors
+      return res.status(502).json({ error: `Could not sync bucket source: ${error.message}` });
+    }
+
+    res.json({
+      message: `Queued ${jobs.length} files from ${source.name}`,
+      jobIds: jobs.map(job => job._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
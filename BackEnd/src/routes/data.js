@@ -1,10 +1,15 @@
 const express = require('express');
 const BillingLineItem = require('../models/BillingLineItem');
+const BillingLineItemVersion = require('../models/BillingLineItemVersion');
 const Aggregate = require('../models/Aggregate');
 const IngestionJob = require('../models/IngestionJob');
 const Anomaly = require('../models/Anomaly');
 const Recommendation = require('../models/Recommendation');
-const { authenticate } = require('../middleware/auth');
+const RejectedRow = require('../models/RejectedRow');
+const UploadSession = require('../models/UploadSession');
+const { authenticate, authorize } = require('../middleware/auth');
+const queueService = require('../services/queueService');
+const chunkedUploadService = require('../services/chunkedUploadService');
 
 const router = express.Router();
 
@@ -18,17 +23,28 @@ router.delete('/clear', authenticate, async (req, res, next) => {
     
     // Delete only the authenticated user's billing data
     const lineItemsResult = await BillingLineItem.deleteMany({ userId });
+    const versionsResult = await BillingLineItemVersion.deleteMany({ userId });
     const aggregatesResult = await Aggregate.deleteMany({ userId });
     const jobsResult = await IngestionJob.deleteMany({ userId });
+    const rejectedRowsResult = await RejectedRow.deleteMany({ userId });
     const anomaliesResult = await Anomaly.deleteMany({ userId });
     const recommendationsResult = await Recommendation.deleteMany({ userId });
 
+    // Chunked uploads, with their part files
+    const uploadSessions = await UploadSession.find({ userId });
+    for (const session of uploadSessions) {
+      await chunkedUploadService.abortSession(session);
+    }
+
     res.json({
       message: 'All billing data has been deleted',
       deleted: {
         lineItems: lineItemsResult.deletedCount,
+        lineItemVersions: versionsResult.deletedCount,
         aggregates: aggregatesResult.deletedCount,
         jobs: jobsResult.deletedCount,
+        rejectedRows: rejectedRowsResult.deletedCount,
+        uploadSessions: uploadSessions.length,
         anomalies: anomaliesResult.deletedCount,
         recommendations: recommendationsResult.deletedCount
       }
@@ -38,5 +54,18 @@ router.delete('/clear', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * Queue a rebuild of all aggregates from the line items, e.g. after changing AGGREGATE_TAG_KEYS
+ */
+router.post('/reaggregate', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const job = await queueService.enqueueReaggregation(req.user._id);
+
+    res.status(202).json({ message: 'Aggregate rebuild queued', jobId: job._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,165 @@
+const express = require('express');
+const multer = require('multer');
+const winston = require('winston');
+const ExchangeRate = require('../models/ExchangeRate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateExchangeRate } = require('../utils/validation');
+const { parsePagination, createPaginationResponse } = require('../utils/pagination');
+const exchangeRateService = require('../services/exchangeRateService');
+const queueService = require('../services/queueService');
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Rate files are small; they are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+/**
+ * 'YYYY-MM' months from the month of a date up to the current one
+ */
+function monthsSince(date) {
+  const months = [];
+  const now = new Date();
+  for (let month = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)); month <= now;
+    month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1))) {
+    months.push(month.toISOString().slice(0, 7));
+  }
+  return months;
+}
+
+/**
+ * Queue rebuilds of the aggregates that changed rates are used in: those of users billed or
+ * reporting in their currencies, from the month of the earliest one on (a rate applies until
+ * the next rate of its currency). Returns the number of users.
+ */
+async function rebuildAggregates(rates, createdBy) {
+  if (rates.length === 0) return 0;
+
+  const currencies = [...new Set(rates.map(rate => rate.currency))];
+  const since = new Date(Math.min(...rates.map(rate => rate.date.getTime())));
+  const userIds = await exchangeRateService.findUsersUsingCurrencies(currencies, since);
+  const months = monthsSince(since);
+
+  for (const userId of userIds) {
+    await queueService.enqueueReaggregation(userId, { months, createdBy });
+  }
+  if (userIds.length > 0) {
+    logger.info(`Queued aggregate rebuilds of ${userIds.length} users after an exchange rate change`);
+  }
+  return userIds.length;
+}
+
+/**
+ * Get exchange rates, filtered by currency, period and date range (YYYY-MM-DD)
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const { currency, period, startDate, endDate } = req.query;
+
+    const query = {};
+    if (currency) query.currency = String(currency).toUpperCase();
+    if (period) query.period = period;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ date: -1, currency: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ExchangeRate.countDocuments(query)
+    ]);
+
+    res.json({
+      baseCurrency: exchangeRateService.getBaseCurrency(),
+      ...createPaginationResponse(rates, total, page, limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Add or replace the rate of a currency for a day or month
+ */
+router.post('/', authenticate, authorize('admin'), validateExchangeRate, async (req, res, next) => {
+  try {
+    const rate = exchangeRateService.toExchangeRate(req.body);
+    if (rate.error) {
+      return res.status(400).json({ error: rate.error });
+    }
+
+    await exchangeRateService.saveRates([rate], req.user._id);
+    const rebuilding = await rebuildAggregates([rate], req.user._id);
+
+    const saved = await ExchangeRate.findOne({ currency: rate.currency, date: rate.date, period: rate.period }).lean();
+    res.status(201).json({ rate: saved, usersRebuilding: rebuilding });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Import exchange rates from a CSV file (date, currency, rate and optional period columns).
+ * Rows that fail validation are reported and skipped.
+ */
+router.post('/import', authenticate, authorize('admin'), upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    let parsed;
+    try {
+      parsed = exchangeRateService.parseRatesCSV(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not read CSV: ${error.message}` });
+    }
+
+    const imported = await exchangeRateService.saveRates(parsed.rates, req.user._id);
+    const rebuilding = await rebuildAggregates(parsed.rates, req.user._id);
+
+    res.json({
+      message: `Imported ${imported} exchange rates`,
+      imported,
+      rowsRejected: parsed.errors.length,
+      errors: parsed.errors.slice(0, 100),
+      usersRebuilding: rebuilding
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete an exchange rate
+ */
+router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id).lean();
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    const rebuilding = await rebuildAggregates([rate], req.user._id);
+
+    res.json({ message: 'Exchange rate deleted', usersRebuilding: rebuilding });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,29 @@
 const express = require('express');
+const fs = require('fs');
+const winston = require('winston');
+const path = require('path');
 const IngestionJob = require('../models/IngestionJob');
+const RejectedRow = require('../models/RejectedRow');
 const { authenticate, authorize } = require('../middleware/auth');
 const { parsePagination, createPaginationResponse } = require('../utils/pagination');
 const schedulerService = require('../services/schedulerService');
+const queueService = require('../services/queueService');
+const dropFolderService = require('../services/dropFolderService');
+const { REJECT_REPORT_COLUMNS } = require('../services/ingestionService');
+const { toCSVCell } = require('../utils/csv');
 
 const router = express.Router();
 
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const JOB_EVENTS_POLL_INTERVAL_MS = 1000;
+const JOB_EVENTS_KEEPALIVE_MS = 15000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'partial', 'cancelled'];
+
 /**
  * Get job history
  */
@@ -18,7 +36,8 @@ router.get('/', authenticate, async (req, res, next) => {
     const query = {
       userId: req.user._id
     };
-    if (status) query.status = status;
+    // Unconfirmed upload previews are hidden unless asked for
+    query.status = status || { $ne: 'preview' };
 
     const jobs = await IngestionJob.find(query)
       .sort({ createdAt: -1 })
@@ -57,6 +76,149 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * Stream a job's progress as Server-Sent Events: 'progress' whenever the job is updated,
+ * 'phase' when it moves between parsing, inserting and aggregating, and 'complete' once
+ * it has finished, after which the stream ends
+ */
+router.get('/:id/events', authenticate, async (req, res, next) => {
+  try {
+    const query = {
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the job
+    };
+    const fields = 'status progress rowsProcessed rowsTotal rowsSkipped rowsDuplicate cancelRequestedAt updatedAt';
+
+    const initial = await IngestionJob.findOne(query).select(fields).lean();
+    if (!initial) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let lastUpdate = null;
+    let lastPhase = null;
+    let closed = false;
+    let timer = null;
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), JOB_EVENTS_KEEPALIVE_MS);
+    const close = () => {
+      closed = true;
+      clearTimeout(timer);
+      clearInterval(keepAlive);
+      res.end();
+    };
+    req.on('close', close);
+
+    // Workers run in separate processes, so changes are picked up by polling the job
+    const emit = async (job) => {
+      if (!job) {
+        send('complete', { status: 'deleted' });
+        return close();
+      }
+
+      const phase = job.progress?.phase;
+      if (phase && phase !== lastPhase) {
+        lastPhase = phase;
+        send('phase', { phase });
+      }
+      if (String(job.updatedAt) !== lastUpdate) {
+        lastUpdate = String(job.updatedAt);
+        send('progress', job);
+      }
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        send('complete', job);
+        return close();
+      }
+
+      timer = setTimeout(poll, JOB_EVENTS_POLL_INTERVAL_MS);
+    };
+    const poll = async () => {
+      if (closed) return;
+      try {
+        await emit(await IngestionJob.findOne(query).select(fields).lean());
+      } catch (error) {
+        logger.error(`Error streaming events of job ${req.params.id}:`, error);
+        close();
+      }
+    };
+
+    await emit(initial);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Download the rows a job rejected, verbatim, with the row number and rejection reason.
+ * Fix the rows and upload the file with parentJobId set to re-submit them as a follow-up job.
+ */
+router.get('/:id/rejects.csv', authenticate, async (req, res, next) => {
+  try {
+    const job = await IngestionJob.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the job
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const query = { jobId: job._id };
+
+    // Zip archives may hold entries with different columns; report their union in file order
+    const columnSets = await RejectedRow.aggregate([
+      { $match: query },
+      { $group: { _id: '$columns', firstRow: { $min: '$rowNumber' } } },
+      { $sort: { firstRow: 1 } }
+    ]);
+    const columns = Array.from(new Set(columnSets.flatMap(set => set._id)));
+
+    const baseName = path.basename(job.fileName, path.extname(job.fileName)).replace(/[^\w.-]+/g, '_');
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="${baseName}-rejects.csv"`
+    });
+    res.write([...columns, ...REJECT_REPORT_COLUMNS].map(toCSVCell).join(',') + '\n');
+
+    const cursor = RejectedRow.find(query)
+      .sort({ rowNumber: 1 })
+      .lean()
+      .cursor();
+
+    for await (const rejected of cursor) {
+      const raw = {};
+      rejected.columns.forEach((column, index) => {
+        raw[column] = rejected.values[index];
+      });
+      const cells = [...columns.map(column => raw[column]), rejected.rowNumber, rejected.reason];
+
+      // Respect backpressure so large reports are not buffered in memory
+      if (!res.write(cells.map(toCSVCell).join(',') + '\n')) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  }
+});
+
 /**
  * Trigger manual processing
  */
@@ -75,14 +237,105 @@ router.post('/:id/process', authenticate, authorize('admin'), async (req, res, n
       return res.status(400).json({ error: 'Job is already processing' });
     }
 
-    // Process asynchronously
+    if (job.status === 'preview') {
+      return res.status(400).json({ error: 'Job is an unconfirmed upload preview' });
+    }
+
+    await queueService.enqueueJob(job._id);
+
+    res.json({ message: 'Job queued for processing', jobId: job._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a queued or running job. A running job stops at its next batch boundary;
+ * pass rollback: true to also remove the rows it has committed.
+ */
+router.post('/:id/cancel', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const job = await IngestionJob.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the job
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'preview') {
+      return res.status(400).json({ error: 'Job is an unconfirmed upload preview' });
+    }
+
+    const rollback = req.body.rollback === true || req.body.rollback === 'true';
+
+    if (job.status === 'pending') {
+      const cancelled = await queueService.cancelQueuedJob(job._id, { rollback });
+      if (cancelled) {
+        return res.json({
+          message: 'Job cancelled',
+          job: cancelled
+        });
+      }
+      // A worker claimed the job meanwhile; fall through to stop it while it runs
+    }
+
+    // Aggregate rebuilds have no batch boundaries to stop at
+    if (job.type === 'reaggregate') {
+      return res.status(400).json({ error: 'Aggregate rebuilds can only be cancelled while queued' });
+    }
+
+    const updated = await IngestionJob.findOneAndUpdate(
+      { _id: job._id, status: 'processing' },
+      { $set: { cancelRequestedAt: new Date(), rollbackOnCancel: rollback } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ error: 'Job is not queued or processing' });
+    }
+
+    res.status(202).json({
+      message: 'Cancellation requested. The job stops after its current batch.',
+      job: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a job and roll back the data it ingested
+ */
+router.delete('/:id', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const job = await IngestionJob.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the job
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'processing') {
+      return res.status(400).json({ error: 'Job is still processing' });
+    }
+
     const ingestionService = require('../services/ingestionService');
-    ingestionService.processCSVFile(job.filePath, job._id.toString())
-      .catch(err => {
-        console.error('Error processing job:', err);
-      });
+    const deleted = await ingestionService.deleteJobData(job._id);
+
+    await RejectedRow.deleteMany({ jobId: job._id });
+    await job.deleteOne();
+    if (job.filePath) {
+      fs.unlink(job.filePath, () => {});
+    }
 
-    res.json({ message: 'Job processing started', jobId: job._id });
+    res.json({
+      message: 'Job and its data have been deleted',
+      deleted
+    });
   } catch (error) {
     next(error);
   }
@@ -93,13 +346,6 @@ router.post('/:id/process', authenticate, authorize('admin'), async (req, res, n
  */
 router.post('/nightly/trigger', authenticate, authorize('admin'), async (req, res, next) => {
   try {
-    const winston = require('winston');
-    const logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.simple(),
-      transports: [new winston.transports.Console()]
-    });
-
     // Run processing asynchronously
     schedulerService.runNightlyProcessing(logger)
       .catch(err => {
@@ -112,5 +358,26 @@ router.post('/nightly/trigger', authenticate, authorize('admin'), async (req, re
   }
 });
 
+/**
+ * Scan the watched drop folder now instead of waiting for its schedule
+ */
+router.post('/drop-folder/scan', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const config = dropFolderService.getConfigFromEnv();
+    if (!dropFolderService.isEnabled(config)) {
+      return res.status(400).json({ error: 'Drop folder is not configured' });
+    }
+
+    const jobs = await dropFolderService.scanDropFolder(config, logger);
+
+    res.json({
+      message: `Queued ${jobs.length} files from the drop folder`,
+      jobIds: jobs.map(job => job._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,122 @@
+const express = require('express');
+const MappingProfile = require('../models/MappingProfile');
+const { authenticate } = require('../middleware/auth');
+const { validateMappingProfile } = require('../utils/validation');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'provider', 'columns', 'costColumn', 'dateFormat', 'decimalSeparator', 'tagPrefix'];
+
+/**
+ * Pick the editable profile fields from a request body
+ */
+function pickProfileFields(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+/**
+ * Get mapping profiles
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    // Filter by user - only show profiles for the authenticated user
+    const profiles = await MappingProfile.find({ userId: req.user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.json(profiles);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get mapping profile details
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const profile = await MappingProfile.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the profile
+    }).lean();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create mapping profile
+ */
+router.post('/', authenticate, validateMappingProfile, async (req, res, next) => {
+  try {
+    const existing = await MappingProfile.findOne({ userId: req.user._id, name: req.body.name });
+    if (existing) {
+      return res.status(400).json({ error: 'A mapping profile with this name already exists' });
+    }
+
+    const profile = await MappingProfile.create({
+      ...pickProfileFields(req.body),
+      userId: req.user._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update mapping profile
+ */
+router.put('/:id', authenticate, validateMappingProfile, async (req, res, next) => {
+  try {
+    const profile = await MappingProfile.findOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the profile
+    });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    profile.set(pickProfileFields(req.body));
+    await profile.save();
+
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete mapping profile
+ */
+router.delete('/:id', authenticate, async (req, res, next) => {
+  try {
+    const result = await MappingProfile.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id // Ensure user owns the profile
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json({ message: 'Mapping profile deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
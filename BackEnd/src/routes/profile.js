@@ -5,9 +5,61 @@ const IngestionJob = require('../models/IngestionJob');
 const Anomaly = require('../models/Anomaly');
 const Recommendation = require('../models/Recommendation');
 const { authenticate } = require('../middleware/auth');
+const { validateReportingSettings } = require('../utils/validation');
+const { reportingSettings } = require('../utils/reportingSettings');
+const queueService = require('../services/queueService');
 
 const router = express.Router();
 
+/**
+ * Get reporting settings
+ */
+router.get('/settings', authenticate, async (req, res) => {
+  res.json(reportingSettings(req.user));
+});
+
+/**
+ * Update reporting settings. Changing the timezone or currency queues a rebuild of all
+ * aggregates; changing only the fiscal year start month one of the quarterly and fiscal-year
+ * ones. The response is then 202 with the rebuild's jobId.
+ */
+router.put('/settings', authenticate, validateReportingSettings, async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { fiscalYearStartMonth, timezone, currency } = req.body;
+    const current = reportingSettings(user);
+    const fiscalCalendarChanged = fiscalYearStartMonth !== undefined
+      && fiscalYearStartMonth !== current.fiscalYearStartMonth;
+    const timezoneChanged = timezone !== undefined && timezone !== current.timezone;
+    const currencyChanged = currency !== undefined && currency !== current.currency;
+
+    if (fiscalYearStartMonth !== undefined) {
+      user.set('reporting.fiscalYearStartMonth', fiscalYearStartMonth);
+    }
+    if (timezone !== undefined) {
+      user.set('reporting.timezone', timezone);
+    }
+    if (currency !== undefined) {
+      user.set('reporting.currency', currency);
+    }
+    await user.save();
+
+    let job = null;
+    if (timezoneChanged || currencyChanged) {
+      job = await queueService.enqueueReaggregation(user._id);
+    } else if (fiscalCalendarChanged) {
+      job = await queueService.enqueueReaggregation(user._id, { rollups: ['quarterly', 'fiscalYear'] });
+    }
+
+    if (job) {
+      return res.status(202).json({ ...reportingSettings(user), jobId: job._id });
+    }
+    res.json(reportingSettings(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Get user profile statistics
  */
@@ -4,36 +4,145 @@ const BillingLineItem = require('../models/BillingLineItem');
 const { authenticate } = require('../middleware/auth');
 const { parsePagination, createPaginationResponse } = require('../utils/pagination');
 const { generateETag, checkETag, cacheMiddleware } = require('../middleware/cache');
+const { validateGrainQuery, grainCondition } = require('../utils/aggregateGrain');
+const { validateCostMetric, aggregateCostExpression, aggregateCost, lineItemCost } = require('../utils/costMetric');
+const { reportingSettings } = require('../utils/reportingSettings');
+const { lineItemConversionStages } = require('../services/exchangeRateService');
+const { dateRangeFilter, parseDateParam, startOfDay, addDays, addMonths, zonedParts, zonedTime } = require('../utils/timezone');
 
 const router = express.Router();
 
 // Apply cache middleware with shorter cache time for real-time updates
 router.use(cacheMiddleware(30)); // Reduced from 300 to 30 seconds
 
+// Summary groups that period-over-period deltas are reported for, and the field they group by
+const DELTA_GROUPS = {
+  byService: 'service',
+  byAccount: 'accountId',
+  byRegion: 'region'
+};
+
+/**
+ * Current and previous cost per service, account and region of the aggregates of one type
+ * matching filterConditions. The previous period runs from previousStart up to currentStart,
+ * the current one from there up to currentEnd; costs are summed in a cost measure.
+ */
+async function groupDeltas(filterConditions, aggregationType, { previousStart, currentStart, currentEnd }, costMetric) {
+  const cost = aggregateCostExpression(costMetric);
+  const isCurrent = { $gte: ['$date', currentStart] };
+
+  const [facets] = await Aggregate.aggregate([
+    {
+      $match: {
+        $and: [...filterConditions, { aggregationType, date: { $gte: previousStart, $lt: currentEnd } }]
+      }
+    },
+    {
+      $facet: Object.fromEntries(Object.entries(DELTA_GROUPS).map(([group, field]) => [group, [
+        {
+          $group: {
+            _id: `$${field}`,
+            currentCost: { $sum: { $cond: [isCurrent, cost, 0] } },
+            previousCost: { $sum: { $cond: [isCurrent, 0, cost] } }
+          }
+        },
+        { $sort: { currentCost: -1 } }
+      ]]))
+    }
+  ]);
+
+  const deltas = {};
+  Object.entries(DELTA_GROUPS).forEach(([group, field]) => {
+    deltas[group] = facets[group].map(({ _id, currentCost, previousCost }) => ({
+      [field]: _id,
+      currentCost,
+      previousCost,
+      variance: currentCost - previousCost,
+      variancePercent: previousCost > 0 ? ((currentCost - previousCost) / previousCost) * 100 : null
+    }));
+  });
+  return deltas;
+}
+
+/**
+ * Month-over-month (the month of endDate vs. the month before) and week-over-week (the 7 days
+ * up to endDate vs. the 7 days before) deltas, with days and months in the reporting timezone.
+ * Without endDate, the latest day with data is used.
+ */
+async function getPeriodDeltas(filterConditions, endDate, timeZone, costMetric) {
+  let referenceDate = endDate ? parseDateParam(endDate, timeZone) : null;
+  if (!referenceDate) {
+    const latest = await Aggregate.findOne({ $and: [...filterConditions, { aggregationType: 'daily' }] })
+      .sort({ date: -1 })
+      .select('date')
+      .lean();
+    if (!latest) return null;
+    referenceDate = latest.date;
+  }
+
+  // Buckets start at midnight in the reporting timezone
+  const day = startOfDay(referenceDate, timeZone);
+  const weekStart = addDays(day, -6, timeZone);
+  const { year, month: monthIndex } = zonedParts(day, timeZone);
+  const month = zonedTime(timeZone, year, monthIndex, 1);
+
+  const [monthOverMonth, weekOverWeek] = await Promise.all([
+    groupDeltas(filterConditions, 'monthly', {
+      previousStart: addMonths(month, -1, timeZone),
+      currentStart: month,
+      currentEnd: addMonths(month, 1, timeZone)
+    }, costMetric),
+    groupDeltas(filterConditions, 'daily', {
+      previousStart: addDays(weekStart, -7, timeZone),
+      currentStart: weekStart,
+      currentEnd: addDays(day, 1, timeZone)
+    }, costMetric)
+  ]);
+
+  return {
+    monthOverMonth: { month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`, ...monthOverMonth },
+    weekOverWeek: { startDate: weekStart, endDate: day, ...weekOverWeek }
+  };
+}
+
 /**
- * Get cost summary by date range
+ * Get cost summary by date range, with month-over-month and week-over-week deltas per
+ * service, account and region. period (aggregationType is accepted too) picks the buckets
+ * the time series is made of, and costMetric the cost measure summed. Pass tagKey (one of
+ * AGGREGATE_TAG_KEYS) to also group by that tag's values, and tagValue to only count one of them.
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate, accountId, service, region, aggregationType = 'daily' } = req.query;
+    const { endDate, provider, accountId, service, region, chargeCategory, tagKey, tagValue, costMetric = 'unblended' } = req.query;
+    const { timezone, currency } = reportingSettings(req.user);
+    const aggregationType = req.query.period || req.query.aggregationType || 'daily';
+
+    const periods = Aggregate.schema.path('aggregationType').enumValues;
+    if (!periods.includes(aggregationType)) {
+      return res.status(400).json({ error: `period must be one of: ${periods.join(', ')}` });
+    }
+
+    const grainError = validateGrainQuery(req.query) || validateCostMetric(req.query);
+    if (grainError) {
+      return res.status(400).json({ error: grainError });
+    }
 
     // Filter by user - only show data for the authenticated user
-    const queryConditions = [
+    const filterConditions = [
       { userId: req.user._id },
-      { aggregationType }
+      grainCondition(req.query)
     ];
+    if (provider) filterConditions.push({ provider });
+    if (accountId) filterConditions.push({ accountId });
+    if (service) filterConditions.push({ service });
+    if (region) filterConditions.push({ region });
+    if (chargeCategory) filterConditions.push({ chargeCategory });
 
-    // Only add date filter if dates are provided
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      queryConditions.push({ date: dateFilter });
-    }
+    const queryConditions = [...filterConditions, { aggregationType }];
 
-    if (accountId) queryConditions.push({ accountId });
-    if (service) queryConditions.push({ service });
-    if (region) queryConditions.push({ region });
+    // Only add date filter if dates are provided
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) queryConditions.push({ date: dateFilter });
 
     const query = queryConditions.length === 1 
       ? queryConditions[0] 
@@ -53,13 +162,17 @@ router.get('/', authenticate, async (req, res, next) => {
     let byService = {};
     let byAccount = {};
     let byRegion = {};
+    let byProvider = {};
+    let byChargeCategory = {};
+    let byTag = {};
     let timeSeries = [];
+    let deltas = null;
 
     if (aggregates.length > 0) {
       console.log('Using aggregates for summary');
       // Calculate totals from aggregates
       totals = aggregates.reduce((acc, agg) => {
-        acc.totalCost += agg.totalCost || 0;
+        acc.totalCost += aggregateCost(agg, costMetric);
         acc.totalUsage += agg.totalUsageQuantity || 0;
         acc.lineItemCount += agg.lineItemCount || 0;
         return acc;
@@ -70,7 +183,7 @@ router.get('/', authenticate, async (req, res, next) => {
         if (!byService[agg.service]) {
           byService[agg.service] = { totalCost: 0, count: 0 };
         }
-        byService[agg.service].totalCost += agg.totalCost || 0;
+        byService[agg.service].totalCost += aggregateCost(agg, costMetric);
         byService[agg.service].count += 1;
       });
 
@@ -79,7 +192,7 @@ router.get('/', authenticate, async (req, res, next) => {
         if (!byAccount[agg.accountId]) {
           byAccount[agg.accountId] = { totalCost: 0, count: 0 };
         }
-        byAccount[agg.accountId].totalCost += agg.totalCost || 0;
+        byAccount[agg.accountId].totalCost += aggregateCost(agg, costMetric);
         byAccount[agg.accountId].count += 1;
       });
 
@@ -88,37 +201,74 @@ router.get('/', authenticate, async (req, res, next) => {
         if (!byRegion[agg.region]) {
           byRegion[agg.region] = { totalCost: 0, count: 0 };
         }
-        byRegion[agg.region].totalCost += agg.totalCost || 0;
+        byRegion[agg.region].totalCost += aggregateCost(agg, costMetric);
         byRegion[agg.region].count += 1;
       });
 
+      // Group by provider
+      aggregates.forEach(agg => {
+        const aggProvider = agg.provider || 'aws';
+        if (!byProvider[aggProvider]) {
+          byProvider[aggProvider] = { totalCost: 0, count: 0 };
+        }
+        byProvider[aggProvider].totalCost += aggregateCost(agg, costMetric);
+        byProvider[aggProvider].count += 1;
+      });
+
+      // Group by charge category
+      aggregates.forEach(agg => {
+        const aggCategory = agg.chargeCategory || 'usage';
+        if (!byChargeCategory[aggCategory]) {
+          byChargeCategory[aggCategory] = { totalCost: 0, count: 0 };
+        }
+        byChargeCategory[aggCategory].totalCost += aggregateCost(agg, costMetric);
+        byChargeCategory[aggCategory].count += 1;
+      });
+
+      // Group by tag value
+      if (tagKey) {
+        aggregates.forEach(agg => {
+          if (!byTag[agg.tagValue]) {
+            byTag[agg.tagValue] = { totalCost: 0, count: 0 };
+          }
+          byTag[agg.tagValue].totalCost += aggregateCost(agg, costMetric);
+          byTag[agg.tagValue].count += 1;
+        });
+      }
+
+      deltas = await getPeriodDeltas(filterConditions, endDate, timezone, costMetric);
+
       // Time series
       timeSeries = aggregates.map(agg => ({
         date: agg.date,
-        cost: agg.totalCost,
+        cost: aggregateCost(agg, costMetric),
+        provider: agg.provider || 'aws',
         accountId: agg.accountId,
         service: agg.service,
-        region: agg.region
+        region: agg.region,
+        ...(tagKey && { tagValue: agg.tagValue })
       }));
     } else {
       // Fallback: compute from line items
       console.log('No aggregates found, computing from line items');
       const lineItemQuery = { userId: req.user._id };
       
-      if (startDate || endDate) {
-        lineItemQuery.usageStartDate = {};
-        if (startDate) lineItemQuery.usageStartDate.$gte = new Date(startDate);
-        if (endDate) lineItemQuery.usageStartDate.$lte = new Date(endDate);
-      }
+      if (dateFilter) lineItemQuery.usageStartDate = dateFilter;
+      if (provider) lineItemQuery.provider = provider;
       if (accountId) lineItemQuery.accountId = accountId;
       if (service) lineItemQuery.service = service;
       if (region) lineItemQuery.region = region;
+      if (chargeCategory) lineItemQuery.chargeCategory = chargeCategory;
+      if (tagValue) lineItemQuery[`tags.${tagKey}`] = tagValue;
 
-      const lineItems = await BillingLineItem.find(lineItemQuery).lean();
+      const lineItems = await BillingLineItem.aggregate([
+        { $match: lineItemQuery },
+        ...lineItemConversionStages(currency, timezone)
+      ]);
 
       // Calculate totals
       totals = lineItems.reduce((acc, item) => {
-        acc.totalCost += item.cost || 0;
+        acc.totalCost += lineItemCost(item, costMetric);
         acc.totalUsage += item.usageQuantityNormalized || 0;
         acc.lineItemCount += 1;
         return acc;
@@ -129,7 +279,7 @@ router.get('/', authenticate, async (req, res, next) => {
         if (!byService[item.service]) {
           byService[item.service] = { totalCost: 0, count: 0 };
         }
-        byService[item.service].totalCost += item.cost || 0;
+        byService[item.service].totalCost += lineItemCost(item, costMetric);
         byService[item.service].count += 1;
       });
 
@@ -138,7 +288,7 @@ router.get('/', authenticate, async (req, res, next) => {
         if (!byAccount[item.accountId]) {
           byAccount[item.accountId] = { totalCost: 0, count: 0 };
         }
-        byAccount[item.accountId].totalCost += item.cost || 0;
+        byAccount[item.accountId].totalCost += lineItemCost(item, costMetric);
         byAccount[item.accountId].count += 1;
       });
 
@@ -148,21 +298,52 @@ router.get('/', authenticate, async (req, res, next) => {
         if (!byRegion[itemRegion]) {
           byRegion[itemRegion] = { totalCost: 0, count: 0 };
         }
-        byRegion[itemRegion].totalCost += item.cost || 0;
+        byRegion[itemRegion].totalCost += lineItemCost(item, costMetric);
         byRegion[itemRegion].count += 1;
       });
 
+      // Group by provider
+      lineItems.forEach(item => {
+        const itemProvider = item.provider || 'aws';
+        if (!byProvider[itemProvider]) {
+          byProvider[itemProvider] = { totalCost: 0, count: 0 };
+        }
+        byProvider[itemProvider].totalCost += lineItemCost(item, costMetric);
+        byProvider[itemProvider].count += 1;
+      });
+
+      // Group by charge category
+      lineItems.forEach(item => {
+        const itemCategory = item.chargeCategory || 'usage';
+        if (!byChargeCategory[itemCategory]) {
+          byChargeCategory[itemCategory] = { totalCost: 0, count: 0 };
+        }
+        byChargeCategory[itemCategory].totalCost += lineItemCost(item, costMetric);
+        byChargeCategory[itemCategory].count += 1;
+      });
+
+      // Group by tag value
+      if (tagKey) {
+        lineItems.forEach(item => {
+          const itemTag = (item.tags && item.tags[tagKey]) || 'untagged';
+          if (!byTag[itemTag]) {
+            byTag[itemTag] = { totalCost: 0, count: 0 };
+          }
+          byTag[itemTag].totalCost += lineItemCost(item, costMetric);
+          byTag[itemTag].count += 1;
+        });
+      }
+
       // Time series from line items
       const dailyMap = new Map();
       lineItems.forEach(item => {
-        const date = new Date(item.usageStartDate || item.ingestionDate);
-        date.setHours(0, 0, 0, 0);
+        const date = startOfDay(new Date(item.usageStartDate || item.ingestionDate), timezone);
         const dateKey = date.toISOString();
         
         if (!dailyMap.has(dateKey)) {
           dailyMap.set(dateKey, { date, cost: 0 });
         }
-        dailyMap.get(dateKey).cost += item.cost || 0;
+        dailyMap.get(dateKey).cost += lineItemCost(item, costMetric);
       });
       
       timeSeries = Array.from(dailyMap.values())
@@ -170,13 +351,17 @@ router.get('/', authenticate, async (req, res, next) => {
         .map(entry => ({
           date: entry.date,
           cost: entry.cost,
+          provider: null,
           accountId: null,
           service: null,
           region: null
         }));
     }
 
+    // Aggregates and line items are both converted into the reporting currency
     const response = {
+      costMetric,
+      currency,
       totals,
       byService: Object.entries(byService)
         .map(([service, data]) => ({ service, ...data }))
@@ -187,7 +372,19 @@ router.get('/', authenticate, async (req, res, next) => {
       byRegion: Object.entries(byRegion)
         .map(([region, data]) => ({ region, ...data }))
         .sort((a, b) => b.totalCost - a.totalCost),
-      timeSeries
+      byProvider: Object.entries(byProvider)
+        .map(([provider, data]) => ({ provider, ...data }))
+        .sort((a, b) => b.totalCost - a.totalCost),
+      byChargeCategory: Object.entries(byChargeCategory)
+        .map(([chargeCategory, data]) => ({ chargeCategory, ...data }))
+        .sort((a, b) => b.totalCost - a.totalCost),
+      ...(tagKey && {
+        byTag: Object.entries(byTag)
+          .map(([value, data]) => ({ tagKey, tagValue: value, ...data }))
+          .sort((a, b) => b.totalCost - a.totalCost)
+      }),
+      timeSeries,
+      deltas
     };
 
     const etag = generateETag(JSON.stringify(response));
@@ -207,20 +404,26 @@ router.get('/', authenticate, async (req, res, next) => {
  */
 router.get('/top-services', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate, limit = 10 } = req.query;
+    const { provider, chargeCategory, limit = 10, costMetric = 'unblended' } = req.query;
+    const { timezone } = reportingSettings(req.user);
+
+    const costMetricError = validateCostMetric(req.query);
+    if (costMetricError) {
+      return res.status(400).json({ error: costMetricError });
+    }
 
     // Filter by user - only show data for the authenticated user
     const queryConditions = [
       { userId: req.user._id },
-      { aggregationType: 'daily' }
+      { aggregationType: 'daily' },
+      Aggregate.BASE_GRAIN
     ];
 
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      queryConditions.push({ date: dateFilter });
-    }
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) queryConditions.push({ date: dateFilter });
+
+    if (provider) queryConditions.push({ provider });
+    if (chargeCategory) queryConditions.push({ chargeCategory });
 
     const query = { $and: queryConditions };
 
@@ -229,7 +432,7 @@ router.get('/top-services', authenticate, async (req, res, next) => {
       {
         $group: {
           _id: '$service',
-          totalCost: { $sum: '$totalCost' },
+          totalCost: { $sum: aggregateCostExpression(costMetric) },
           count: { $sum: 1 }
         }
       },
@@ -256,21 +459,27 @@ router.get('/top-services', authenticate, async (req, res, next) => {
  */
 router.get('/top-accounts', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate, limit = 10 } = req.query;
+    const { provider, chargeCategory, limit = 10, costMetric = 'unblended' } = req.query;
+    const { timezone } = reportingSettings(req.user);
+
+    const costMetricError = validateCostMetric(req.query);
+    if (costMetricError) {
+      return res.status(400).json({ error: costMetricError });
+    }
 
     // Filter by user - only show data for the authenticated user
     const queryConditions = [
       { userId: req.user._id },
-      { aggregationType: 'daily' }
+      { aggregationType: 'daily' },
+      Aggregate.BASE_GRAIN
     ];
 
     // Only add date filter if dates are provided
-    if (startDate || endDate) {
-      const dateFilter = {};
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
-      queryConditions.push({ date: dateFilter });
-    }
+    const dateFilter = dateRangeFilter(req.query, timezone);
+    if (dateFilter) queryConditions.push({ date: dateFilter });
+
+    if (provider) queryConditions.push({ provider });
+    if (chargeCategory) queryConditions.push({ chargeCategory });
 
     const query = { $and: queryConditions };
 
@@ -279,7 +488,7 @@ router.get('/top-accounts', authenticate, async (req, res, next) => {
       {
         $group: {
           _id: '$accountId',
-          totalCost: { $sum: '$totalCost' },
+          totalCost: { $sum: aggregateCostExpression(costMetric) },
           count: { $sum: 1 }
         }
       },
@@ -3,7 +3,10 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const IngestionJob = require('../models/IngestionJob');
+const MappingProfile = require('../models/MappingProfile');
+const UploadSession = require('../models/UploadSession');
 const ingestionService = require('../services/ingestionService');
+const chunkedUploadService = require('../services/chunkedUploadService');
 const { authenticate, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -14,6 +17,17 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Rows read from the start of a file for a dry-run preview
+const DEFAULT_PREVIEW_ROWS = 100;
+const MAX_PREVIEW_ROWS = 1000;
+
+// How rows already ingested by an earlier upload are handled ('period' replaces
+// whole account/billing periods, for restated bills)
+const DUPLICATE_MODES = ['skip', 'replace', 'version', 'period'];
+
+// Billing exports arrive as plain CSV, JSON Lines, gzipped CSV, zip archives or Parquet
+const ALLOWED_EXTENSIONS = ['.csv', '.json', '.jsonl', '.gz', '.zip', '.parquet'];
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir);
@@ -24,22 +38,146 @@ const storage = multer.diskStorage({
   }
 });
 
+// Chunked uploads are not bound by the multipart MAX_FILE_SIZE
+const MAX_CHUNKED_FILE_SIZE = parseInt(process.env.MAX_CHUNKED_FILE_SIZE) || 20 * 1024 * 1024 * 1024; // 20GB default
+
 const upload = multer({
   storage,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024 // 100MB default
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
+    if (file.mimetype === 'text/csv' || ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'));
+      cb(new Error('Only CSV, JSON Lines, gzip, zip and Parquet files are allowed'));
     }
   }
 });
 
 /**
- * Upload billing CSV file
+ * Look up the mapping profile and duplicate mode requested for an upload.
+ * Returns { error } when either is invalid.
+ */
+async function resolveUploadOptions(userId, { mappingProfileId, duplicateMode, parentJobId }) {
+  // Fixed rejected rows re-submitted from an earlier job are ingested the way that job was
+  let parentJob = null;
+  if (parentJobId) {
+    parentJob = await IngestionJob.findOne({ _id: parentJobId, userId }).lean();
+    if (!parentJob) {
+      return { error: 'Parent job not found' };
+    }
+    mappingProfileId = mappingProfileId || parentJob.mappingProfileId;
+    duplicateMode = duplicateMode || parentJob.duplicateMode;
+  }
+  duplicateMode = duplicateMode || 'skip';
+
+  // Optional column mapping profile for custom (non-cloud-provider) CSVs
+  let mappingProfile = null;
+  if (mappingProfileId) {
+    mappingProfile = await MappingProfile.findOne({ _id: mappingProfileId, userId }).lean();
+    if (!mappingProfile) {
+      return { error: 'Mapping profile not found' };
+    }
+  }
+
+  if (!DUPLICATE_MODES.includes(duplicateMode)) {
+    return { error: `duplicateMode must be one of: ${DUPLICATE_MODES.join(', ')}` };
+  }
+
+  return { mappingProfile, duplicateMode, parentJob };
+}
+
+/**
+ * Create the ingestion job for a received file and answer the upload request.
+ * With ?dryRun=true the file is kept as a preview job and the first rows are
+ * parsed and reported without ingesting anything. onJobReady runs before the
+ * response is sent. Returns the job, or null if the file could not be previewed.
+ */
+async function createUploadJob(req, res, { fileName, filePath, fileSize, mappingProfile, duplicateMode, parentJob, onJobReady }) {
+  const dryRun = req.query.dryRun === 'true';
+
+  // Create ingestion job
+  const job = await IngestionJob.create({
+    fileName,
+    filePath,
+    fileSize,
+    status: dryRun ? 'preview' : 'pending',
+    mappingProfileId: mappingProfile ? mappingProfile._id : undefined,
+    duplicateMode,
+    parentJobId: parentJob ? parentJob._id : undefined,
+    userId: req.user._id, // Associate with user
+    createdBy: req.user._id
+  });
+
+  if (dryRun) {
+    const rowLimit = Math.min(parseInt(req.query.previewRows) || DEFAULT_PREVIEW_ROWS, MAX_PREVIEW_ROWS);
+    let preview;
+    try {
+      preview = await ingestionService.previewFile(filePath, {
+        rowLimit,
+        mappingProfile,
+        userId: req.user._id
+      });
+    } catch (err) {
+      fs.unlink(filePath, () => {});
+      await job.deleteOne();
+      res.status(400).json({ error: `Unable to read file: ${err.message}` });
+      return null;
+    }
+
+    job.metadata.fileType = preview.fileType;
+    job.metadata.sourceFormat = preview.format || undefined;
+    await job.save();
+    if (onJobReady) await onJobReady(job);
+
+    res.status(201).json({
+      message: 'File parsed for preview',
+      job: {
+        id: job._id,
+        fileName: job.fileName,
+        status: job.status,
+        createdAt: job.createdAt
+      },
+      preview
+    });
+    return job;
+  }
+
+  if (onJobReady) await onJobReady(job);
+
+  // The pending job is picked up by an ingestion worker (see queueService)
+  res.status(201).json({
+    message: 'File uploaded successfully',
+    job: {
+      id: job._id,
+      fileName: job.fileName,
+      status: job.status,
+      createdAt: job.createdAt
+    }
+  });
+  return job;
+}
+
+/**
+ * Public view of an upload session
+ */
+function formatSession(session) {
+  return {
+    id: session._id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalParts: session.totalParts,
+    receivedParts: [...session.receivedParts].sort((a, b) => a - b),
+    status: session.status,
+    ingestionJobId: session.ingestionJobId,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Upload billing export file in a single multipart request
  */
 router.post('/', authenticate, authorize('admin', 'user'), upload.single('file'), async (req, res, next) => {
   try {
@@ -47,24 +185,229 @@ router.post('/', authenticate, authorize('admin', 'user'), upload.single('file')
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Create ingestion job
-    const job = await IngestionJob.create({
+    const { error, mappingProfile, duplicateMode, parentJob } = await resolveUploadOptions(req.user._id, req.body);
+    if (error) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error });
+    }
+
+    await createUploadJob(req, res, {
       fileName: req.file.originalname,
       filePath: req.file.path,
       fileSize: req.file.size,
-      status: 'pending',
-      userId: req.user._id, // Associate with user
-      createdBy: req.user._id
+      mappingProfile,
+      duplicateMode,
+      parentJob
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start a resumable, chunked upload
+ */
+router.post('/sessions', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const { fileName, checksum } = req.body;
+    const fileSize = parseInt(req.body.fileSize);
+
+    if (!fileName || !ALLOWED_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+      return res.status(400).json({ error: 'Only CSV, JSON Lines, gzip, zip and Parquet files are allowed' });
+    }
+    if (!fileSize || fileSize < 1) {
+      return res.status(400).json({ error: 'fileSize is required' });
+    }
+    if (fileSize > MAX_CHUNKED_FILE_SIZE) {
+      return res.status(400).json({ error: `File exceeds the maximum size of ${MAX_CHUNKED_FILE_SIZE} bytes` });
+    }
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({ error: 'checksum must be a SHA-256 hex digest' });
+    }
+
+    const { error, mappingProfile, duplicateMode, parentJob } = await resolveUploadOptions(req.user._id, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const session = await chunkedUploadService.createSession(uploadDir, {
+      userId: req.user._id,
+      fileName,
+      fileSize,
+      chunkSize: req.body.chunkSize,
+      checksum,
+      mappingProfileId: mappingProfile ? mappingProfile._id : undefined,
+      duplicateMode,
+      parentJobId: parentJob ? parentJob._id : undefined
     });
 
-    // Process file asynchronously
-    ingestionService.processCSVFile(req.file.path, job._id.toString(), { userId: req.user._id })
-      .catch(err => {
-        console.error('Error processing file:', err);
+    res.status(201).json(formatSession(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the user's unfinished chunked uploads
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await UploadSession.find({ userId: req.user._id, status: 'uploading' })
+      .sort({ updatedAt: -1 });
+
+    res.json(sessions.map(formatSession));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a chunked upload's state, e.g. to find the parts still missing after a disconnect
+ */
+router.get('/sessions/:id', authenticate, async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json(formatSession(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Upload one part (raw bytes). An optional X-Part-Checksum header carries its SHA-256.
+ */
+router.put(
+  '/sessions/:id/parts/:partNumber',
+  authenticate,
+  authorize('admin', 'user'),
+  express.raw({ type: 'application/octet-stream', limit: chunkedUploadService.MAX_CHUNK_SIZE }),
+  async (req, res, next) => {
+    try {
+      const session = await UploadSession.findOne({ _id: req.params.id, userId: req.user._id });
+
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      const updated = await chunkedUploadService.writePart(
+        session,
+        parseInt(req.params.partNumber),
+        Buffer.isBuffer(req.body) ? req.body : null,
+        req.get('X-Part-Checksum')
+      );
+
+      res.json({
+        partNumber: parseInt(req.params.partNumber),
+        receivedParts: updated.receivedParts.length,
+        totalParts: updated.totalParts
       });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      next(error);
+    }
+  }
+);
 
-    res.status(201).json({
-      message: 'File uploaded successfully',
+/**
+ * Reassemble and verify a chunked upload, then create its ingestion job
+ * (a preview job with ?dryRun=true)
+ */
+router.post('/sessions/:id/complete', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    const { error, mappingProfile, duplicateMode, parentJob } = await resolveUploadOptions(req.user._id, {
+      mappingProfileId: session.mappingProfileId,
+      duplicateMode: session.duplicateMode,
+      parentJobId: session.parentJobId
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let filePath;
+    try {
+      filePath = await chunkedUploadService.completeSession(session, uploadDir);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      throw err;
+    }
+
+    await createUploadJob(req, res, {
+      fileName: session.fileName,
+      filePath,
+      fileSize: session.fileSize,
+      mappingProfile,
+      duplicateMode,
+      parentJob,
+      onJobReady: async job => {
+        session.ingestionJobId = job._id;
+        await session.save();
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Abort a chunked upload and discard the parts received so far
+ */
+router.delete('/sessions/:id', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.id, userId: req.user._id, status: 'uploading' });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    await chunkedUploadService.abortSession(session);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Confirm a dry-run preview and start ingesting the file. The duplicate handling
+ * may be changed here once the preview has shown overlapping rows.
+ */
+router.post('/preview/:id/confirm', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    // Queue the job for an ingestion worker
+    const update = { status: 'pending', nextRunAt: new Date() };
+    if (req.body.duplicateMode) {
+      if (!DUPLICATE_MODES.includes(req.body.duplicateMode)) {
+        return res.status(400).json({ error: `duplicateMode must be one of: ${DUPLICATE_MODES.join(', ')}` });
+      }
+      update.duplicateMode = req.body.duplicateMode;
+    }
+
+    const job = await IngestionJob.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: 'preview' },
+      update,
+      { new: true }
+    );
+
+    if (!job) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    res.json({
+      message: 'File queued for ingestion',
       job: {
         id: job._id,
         fileName: job.fileName,
@@ -77,6 +420,31 @@ router.post('/', authenticate, authorize('admin', 'user'), upload.single('file')
   }
 });
 
+/**
+ * Cancel a dry-run preview, discarding the uploaded file
+ */
+router.delete('/preview/:id', authenticate, authorize('admin', 'user'), async (req, res, next) => {
+  try {
+    const job = await IngestionJob.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: 'preview'
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    if (job.filePath) {
+      fs.unlink(job.filePath, () => {});
+    }
+
+    res.json({ message: 'Preview cancelled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Get upload history
  */
@@ -87,7 +455,9 @@ router.get('/history', authenticate, async (req, res, next) => {
 
     // Filter by user - only show data for the authenticated user
     const query = {
-      userId: req.user._id
+      userId: req.user._id,
+      status: { $ne: 'preview' },
+      type: { $ne: 'reaggregate' }
     };
 
     const jobs = await IngestionJob.find(query)
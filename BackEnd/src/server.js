@@ -7,6 +7,8 @@ const rateLimit = require('express-rate-limit');
 const dotenv = require('dotenv');
 const winston = require('winston');
 const cron = require('node-cron');
+const path = require('path');
+const { fork } = require('child_process');
 
 // Load environment variables
 dotenv.config();
@@ -51,7 +53,9 @@ app.use(compression());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // A multi-GB chunked upload sends hundreds of authenticated part requests
+  skip: (req) => req.method === 'PUT' && /^\/upload\/sessions\/[^/]+\/parts\//.test(req.path)
 });
 app.use('/api/', limiter);
 
@@ -80,6 +84,9 @@ app.use('/api/job', jobRoutes);
 app.use('/api/data', dataRoutes);
 app.use('/api/profile', require('./routes/profile'));
 app.use('/api/diagnostic', require('./routes/diagnostic'));
+app.use('/api/mapping-profile', require('./routes/mappingProfile'));
+app.use('/api/bucket-source', require('./routes/bucketSource'));
+app.use('/api/exchange-rate', require('./routes/exchangeRate'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -104,6 +111,41 @@ if (process.env.ENABLE_CRON === 'true') {
   logger.info(`Scheduler started with schedule: ${schedule}`);
 }
 
+// Start ingestion worker processes. Set INGESTION_WORKERS=0 to run them
+// separately (e.g. on other hosts) with `npm run worker`.
+const workerCount = parseInt(process.env.INGESTION_WORKERS ?? '1');
+const ingestionWorkers = new Set();
+let shuttingDown = false;
+
+function startIngestionWorker() {
+  const worker = fork(path.join(__dirname, 'worker.js'));
+  ingestionWorkers.add(worker);
+
+  worker.on('exit', (code) => {
+    ingestionWorkers.delete(worker);
+    if (!shuttingDown) {
+      logger.warn(`Ingestion worker ${worker.pid} exited with code ${code}, restarting`);
+      setTimeout(startIngestionWorker, 5000);
+    }
+  });
+}
+
+for (let i = 0; i < workerCount; i++) {
+  startIngestionWorker();
+}
+if (workerCount > 0) {
+  logger.info(`Started ${workerCount} ingestion worker process(es)`);
+}
+
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    shuttingDown = true;
+    // Workers release their in-flight jobs back to the queue before exiting
+    ingestionWorkers.forEach(worker => worker.kill('SIGTERM'));
+    process.exit(0);
+  });
+});
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,195 @@
+// Model fields that arrive as strings and need converting after column mapping
+const DATE_FIELDS = ['usageStartDate', 'usageEndDate', 'billingPeriodStartDate', 'billingPeriodEndDate'];
+const NUMERIC_FIELDS = [
+  'usageQuantity',
+  'blendedRate',
+  'blendedCost',
+  'unblendedRate',
+  'unblendedCost',
+  'netUnblendedCost',
+  'effectiveCost',
+  'publicOnDemandRate',
+  'publicOnDemandCost',
+  'reservationEffectiveCost',
+  'reservationNetEffectiveCost',
+  'reservationAmortizedUpfrontFee',
+  'reservationUnusedAmortizedUpfrontFee',
+  'reservationUnusedRecurringFee',
+  'savingsPlanEffectiveCost',
+  'savingsPlanNetEffectiveCost',
+  'savingsPlanTotalCommitment',
+  'savingsPlanUsedCommitment'
+];
+
+// Timestamps without a UTC offset: 'YYYY-MM-DD' with an optional time (DBR, CUR, FOCUS) and
+// 'MM/DD/YYYY' with an optional time (Azure). They are read as UTC, whatever the host timezone.
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Timestamps ending in 'Z', a UTC offset or a zone name ('2024-03-01 00:00:00 UTC', GCP)
+const ZONED_DATE = /(z|[+-]\d{2}:?\d{2}|\s(utc|gmt))$/i;
+
+// Currency of exports without a currency column (AWS DBR)
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Charge category of a line item from its record/line item type (AWS RecordType or
+ * LineItemType, Azure ChargeType, GCP cost_type, FOCUS ChargeCategory) and service
+ */
+function toChargeCategory(recordType, service) {
+  const type = recordType || '';
+  if (/tax|vat/i.test(type)) return 'tax';
+  if (/refund/i.test(type)) return 'refund';
+  // 'Credit', 'EdpDiscount', 'BundledDiscount'; not 'DiscountedUsage', which is RI-covered usage
+  if (/credit|discount$/i.test(type)) return 'credit';
+  if (/support/i.test(service || '')) return 'support';
+  if (/fee|purchase|unused/i.test(type)) return 'fee';
+  return 'usage';
+}
+
+/**
+ * Amortized and net-amortized cost of a line item. Reservation and Savings Plan fees are
+ * spread over the usage they cover: covered usage carries its effective cost, upfront and
+ * recurring fees only their unused part. Net costs include negotiated discounts when the
+ * export has net columns (AWS CUR with an EDP or private pricing).
+ */
+function amortizeCost(normalized) {
+  const { recordType, cost } = normalized;
+  const netCost = normalized.netUnblendedCost ?? cost;
+
+  // FOCUS EffectiveCost (and custom columns mapped onto it) is amortized already
+  if (normalized.effectiveCost !== undefined) {
+    return { amortizedCost: normalized.effectiveCost, netAmortizedCost: normalized.effectiveCost };
+  }
+
+  switch (recordType) {
+    case 'DiscountedUsage': {
+      const amortizedCost = normalized.reservationEffectiveCost ?? cost;
+      return { amortizedCost, netAmortizedCost: normalized.reservationNetEffectiveCost ?? amortizedCost };
+    }
+    case 'SavingsPlanCoveredUsage': {
+      const amortizedCost = normalized.savingsPlanEffectiveCost ?? cost;
+      return { amortizedCost, netAmortizedCost: normalized.savingsPlanNetEffectiveCost ?? amortizedCost };
+    }
+    case 'SavingsPlanNegation':
+    case 'SavingsPlanUpfrontFee':
+      return { amortizedCost: 0, netAmortizedCost: 0 };
+    case 'SavingsPlanRecurringFee': {
+      const { savingsPlanTotalCommitment: total, savingsPlanUsedCommitment: used } = normalized;
+      const unused = total !== undefined && used !== undefined ? total - used : 0;
+      return { amortizedCost: unused, netAmortizedCost: unused };
+    }
+    case 'RIFee': {
+      const { reservationUnusedAmortizedUpfrontFee: upfront, reservationUnusedRecurringFee: recurring } = normalized;
+      const unused = upfront !== undefined || recurring !== undefined ? (upfront || 0) + (recurring || 0) : cost;
+      return { amortizedCost: unused, netAmortizedCost: unused };
+    }
+    default:
+      break;
+  }
+
+  // Upfront reservation purchases (AWS 'Fee', Azure 'Purchase') are spread over their term
+  if (/^(fee|purchase)$/i.test(recordType || '') && (normalized.reservationArn || normalized.savingsPlanArn)) {
+    return { amortizedCost: 0, netAmortizedCost: 0 };
+  }
+  return { amortizedCost: cost, netAmortizedCost: netCost };
+}
+
+/**
+ * Copy non-empty source columns onto their model fields
+ */
+function mapColumns(row, columns, normalized = {}) {
+  Object.keys(columns).forEach(sourceCol => {
+    const modelField = columns[sourceCol];
+    if (normalized[modelField] === undefined && row[sourceCol] !== undefined && row[sourceCol] !== '') {
+      normalized[modelField] = row[sourceCol];
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Parse a billing date. Timestamps without a timezone are UTC; new Date() would read
+ * them in the host's timezone.
+ */
+function parseDate(value) {
+  if (value instanceof Date || typeof value !== 'string') return new Date(value);
+
+  const text = value.trim();
+  let match = ISO_DATE.exec(text);
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0, millisecond = '0'] = match;
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second, millisecond.padEnd(3, '0')));
+  }
+  match = US_DATE.exec(text);
+  if (match) {
+    const [, month, day, year, hour = 0, minute = 0, second = 0] = match;
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+  if (ZONED_DATE.test(text)) return new Date(text);
+
+  // Any other layout without a timezone: take the wall-clock time it was read as, in UTC
+  const local = new Date(text);
+  if (isNaN(local.getTime())) return local;
+  return new Date(Date.UTC(local.getFullYear(), local.getMonth(), local.getDate(),
+    local.getHours(), local.getMinutes(), local.getSeconds(), local.getMilliseconds()));
+}
+
+/**
+ * Parse date and numeric fields in place
+ */
+function parseFieldTypes(normalized) {
+  DATE_FIELDS.forEach(field => {
+    if (normalized[field]) {
+      normalized[field] = parseDate(normalized[field]);
+    }
+  });
+
+  NUMERIC_FIELDS.forEach(field => {
+    if (normalized[field]) {
+      normalized[field] = parseFloat(normalized[field]);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Fill the provider-independent normalized fields
+ */
+function applyNormalizedFields(normalized, region) {
+  normalized.accountId = normalized.linkedAccountId || normalized.payerAccountId || 'unknown';
+  normalized.service = normalized.productName || normalized.productCode || 'unknown';
+  normalized.region = region || normalized.productRegion || 'unknown';
+  normalized.cost = normalized.unblendedCost ?? normalized.blendedCost ?? 0;
+  normalized.usageQuantityNormalized = normalized.usageQuantity || 0;
+  normalized.usageTypeNormalized = normalized.usageType || '';
+  normalized.currencyCode = String(normalized.currencyCode || DEFAULT_CURRENCY).trim().toUpperCase();
+  normalized.chargeCategory = toChargeCategory(normalized.recordType, normalized.service);
+  Object.assign(normalized, amortizeCost(normalized));
+  return normalized;
+}
+
+/**
+ * Parse a JSON column, returning an empty object on bad input
+ */
+function parseJSONColumn(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  DATE_FIELDS,
+  NUMERIC_FIELDS,
+  mapColumns,
+  parseDate,
+  parseFieldTypes,
+  applyNormalizedFields,
+  parseJSONColumn
+};
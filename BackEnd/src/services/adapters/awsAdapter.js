@@ -0,0 +1,269 @@
+const {
+  mapColumns,
+  parseFieldTypes,
+  applyNormalizedFields,
+  parseJSONColumn
+} = require('./adapterUtils');
+
+// AWS detailed billing report (DBR) CSV column mapping
+const CSV_COLUMNS = {
+  'InvoiceID': 'invoiceId',
+  'PayerAccountId': 'payerAccountId',
+  'LinkedAccountId': 'linkedAccountId',
+  'RecordType': 'recordType',
+  'ProductName': 'productName',
+  'ProductCode': 'productCode',
+  'UsageType': 'usageType',
+  'Operation': 'operation',
+  'AvailabilityZone': 'availabilityZone',
+  'ReservedInstance': 'reservedInstance',
+  'ItemDescription': 'itemDescription',
+  'UsageStartDate': 'usageStartDate',
+  'UsageEndDate': 'usageEndDate',
+  'UsageQuantity': 'usageQuantity',
+  'BlendedRate': 'blendedRate',
+  'BlendedCost': 'blendedCost',
+  'UnblendedRate': 'unblendedRate',
+  'UnblendedCost': 'unblendedCost',
+  'ResourceId': 'resourceId'
+};
+
+// AWS Cost and Usage Report (legacy CUR) column mapping
+const CUR_COLUMNS = {
+  'identity/LineItemId': 'lineItemId',
+  'bill/InvoiceId': 'invoiceId',
+  'bill/PayerAccountId': 'payerAccountId',
+  'bill/BillingPeriodStartDate': 'billingPeriodStartDate',
+  'bill/BillingPeriodEndDate': 'billingPeriodEndDate',
+  'lineItem/UsageAccountId': 'linkedAccountId',
+  'lineItem/LineItemType': 'recordType',
+  'lineItem/ProductCode': 'productCode',
+  'lineItem/UsageType': 'usageType',
+  'lineItem/Operation': 'operation',
+  'lineItem/AvailabilityZone': 'availabilityZone',
+  'lineItem/LineItemDescription': 'itemDescription',
+  'lineItem/UsageStartDate': 'usageStartDate',
+  'lineItem/UsageEndDate': 'usageEndDate',
+  'lineItem/UsageAmount': 'usageQuantity',
+  'lineItem/BlendedRate': 'blendedRate',
+  'lineItem/BlendedCost': 'blendedCost',
+  'lineItem/UnblendedRate': 'unblendedRate',
+  'lineItem/UnblendedCost': 'unblendedCost',
+  'lineItem/NetUnblendedCost': 'netUnblendedCost',
+  'lineItem/CurrencyCode': 'currencyCode',
+  'lineItem/ResourceId': 'resourceId',
+  // Product
+  'product/ProductName': 'productName',
+  'product/productFamily': 'productFamily',
+  'product/region': 'productRegion',
+  'product/regionCode': 'productRegion',
+  'product/instanceType': 'instanceType',
+  'product/sku': 'sku',
+  // Pricing
+  'pricing/term': 'pricingTerm',
+  'pricing/unit': 'pricingUnit',
+  'pricing/publicOnDemandRate': 'publicOnDemandRate',
+  'pricing/publicOnDemandCost': 'publicOnDemandCost',
+  // Reservation / Savings Plans
+  'reservation/ReservationARN': 'reservationArn',
+  'reservation/EffectiveCost': 'reservationEffectiveCost',
+  'reservation/NetEffectiveCost': 'reservationNetEffectiveCost',
+  'reservation/AmortizedUpfrontFeeForBillingPeriod': 'reservationAmortizedUpfrontFee',
+  'reservation/UnusedAmortizedUpfrontFeeForBillingPeriod': 'reservationUnusedAmortizedUpfrontFee',
+  'reservation/UnusedRecurringFee': 'reservationUnusedRecurringFee',
+  'savingsPlan/SavingsPlanARN': 'savingsPlanArn',
+  'savingsPlan/SavingsPlanEffectiveCost': 'savingsPlanEffectiveCost',
+  'savingsPlan/NetSavingsPlanEffectiveCost': 'savingsPlanNetEffectiveCost',
+  'savingsPlan/TotalCommitmentToDate': 'savingsPlanTotalCommitment',
+  'savingsPlan/UsedCommitment': 'savingsPlanUsedCommitment'
+};
+
+// CUR 2.0 (Data Exports) column mapping
+const CUR2_COLUMNS = {
+  'identity_line_item_id': 'lineItemId',
+  'bill_invoice_id': 'invoiceId',
+  'bill_payer_account_id': 'payerAccountId',
+  'bill_billing_period_start_date': 'billingPeriodStartDate',
+  'bill_billing_period_end_date': 'billingPeriodEndDate',
+  'line_item_usage_account_id': 'linkedAccountId',
+  'line_item_line_item_type': 'recordType',
+  'line_item_product_code': 'productCode',
+  'line_item_usage_type': 'usageType',
+  'line_item_operation': 'operation',
+  'line_item_availability_zone': 'availabilityZone',
+  'line_item_line_item_description': 'itemDescription',
+  'line_item_usage_start_date': 'usageStartDate',
+  'line_item_usage_end_date': 'usageEndDate',
+  'line_item_usage_amount': 'usageQuantity',
+  'line_item_blended_rate': 'blendedRate',
+  'line_item_blended_cost': 'blendedCost',
+  'line_item_unblended_rate': 'unblendedRate',
+  'line_item_unblended_cost': 'unblendedCost',
+  'line_item_net_unblended_cost': 'netUnblendedCost',
+  'line_item_currency_code': 'currencyCode',
+  'line_item_resource_id': 'resourceId',
+  // Product
+  'product_product_name': 'productName',
+  'product_product_family': 'productFamily',
+  'product_region_code': 'productRegion',
+  'product_instance_type': 'instanceType',
+  'product_sku': 'sku',
+  // Pricing
+  'pricing_term': 'pricingTerm',
+  'pricing_unit': 'pricingUnit',
+  'pricing_public_on_demand_rate': 'publicOnDemandRate',
+  'pricing_public_on_demand_cost': 'publicOnDemandCost',
+  // Reservation / Savings Plans
+  'reservation_reservation_a_r_n': 'reservationArn',
+  'reservation_effective_cost': 'reservationEffectiveCost',
+  'reservation_net_effective_cost': 'reservationNetEffectiveCost',
+  'reservation_amortized_upfront_fee_for_billing_period': 'reservationAmortizedUpfrontFee',
+  'reservation_unused_amortized_upfront_fee_for_billing_period': 'reservationUnusedAmortizedUpfrontFee',
+  'reservation_unused_recurring_fee': 'reservationUnusedRecurringFee',
+  'savings_plan_savings_plan_a_r_n': 'savingsPlanArn',
+  'savings_plan_savings_plan_effective_cost': 'savingsPlanEffectiveCost',
+  'savings_plan_net_savings_plan_effective_cost': 'savingsPlanNetEffectiveCost',
+  'savings_plan_total_commitment_to_date': 'savingsPlanTotalCommitment',
+  'savings_plan_used_commitment': 'savingsPlanUsedCommitment'
+};
+
+const COLUMN_MAPS = {
+  dbr: CSV_COLUMNS,
+  cur: CUR_COLUMNS,
+  cur2: CUR2_COLUMNS
+};
+
+// Tag columns start with 'user:' prefix
+const TAG_PREFIX = 'user:';
+// CUR tag columns look like 'resourceTags/user:Team'
+const CUR_TAG_PREFIX = 'resourceTags/';
+// CUR 2.0 tags arrive as a JSON map column, or flattened as 'resource_tags_user_team'
+const CUR2_TAG_COLUMN = 'resource_tags';
+const CUR2_TAG_PREFIX = 'resource_tags_';
+const CUR2_USER_TAG_PREFIX = 'user_';
+// CUR 2.0 product attributes arrive as a JSON map column
+const CUR2_PRODUCT_COLUMN = 'product';
+
+/**
+ * Detect which AWS export format a header row belongs to
+ */
+function detect(headers) {
+  if (headers.some(h => h.startsWith('lineItem/') || h.startsWith('identity/'))) {
+    return 'cur';
+  }
+  if (headers.some(h => h.startsWith('line_item_') || h === 'bill_payer_account_id')) {
+    return 'cur2';
+  }
+  if (headers.includes('UnblendedCost') || headers.includes('BlendedCost')) {
+    return 'dbr';
+  }
+  return null;
+}
+
+/**
+ * Extract resource tags from a row according to its format
+ */
+function extractTags(row, format) {
+  const tags = new Map();
+
+  Object.keys(row).forEach(key => {
+    if (!row[key]) return;
+
+    if (format === 'dbr' && key.startsWith(TAG_PREFIX)) {
+      tags.set(key.substring(TAG_PREFIX.length), row[key]);
+    } else if (format === 'cur' && key.startsWith(CUR_TAG_PREFIX)) {
+      let tagKey = key.substring(CUR_TAG_PREFIX.length);
+      if (tagKey.startsWith(TAG_PREFIX)) tagKey = tagKey.substring(TAG_PREFIX.length);
+      tags.set(tagKey, row[key]);
+    } else if (format === 'cur2' && key.startsWith(CUR2_TAG_PREFIX)) {
+      let tagKey = key.substring(CUR2_TAG_PREFIX.length);
+      if (tagKey.startsWith(CUR2_USER_TAG_PREFIX)) tagKey = tagKey.substring(CUR2_USER_TAG_PREFIX.length);
+      tags.set(tagKey, row[key]);
+    }
+  });
+
+  if (format === 'cur2' && row[CUR2_TAG_COLUMN]) {
+    Object.entries(parseJSONColumn(row[CUR2_TAG_COLUMN])).forEach(([key, value]) => {
+      if (!value) return;
+      const tagKey = key.startsWith(CUR2_USER_TAG_PREFIX) ? key.substring(CUR2_USER_TAG_PREFIX.length) : key;
+      tags.set(tagKey, String(value));
+    });
+  }
+
+  return tags;
+}
+
+/**
+ * Normalize an AWS DBR, CUR or CUR 2.0 row
+ */
+function normalize(row, format = 'dbr') {
+  // Map CSV columns
+  const normalized = mapColumns(row, COLUMN_MAPS[format] || CSV_COLUMNS);
+
+  // CUR 2.0 keeps product attributes without a dedicated column in a JSON map
+  if (format === 'cur2' && row[CUR2_PRODUCT_COLUMN]) {
+    const product = parseJSONColumn(row[CUR2_PRODUCT_COLUMN]);
+    if (!normalized.productName && product.product_name) {
+      normalized.productName = product.product_name;
+    }
+    if (!normalized.productRegion && product.region) {
+      normalized.productRegion = product.region;
+    }
+  }
+
+  parseFieldTypes(normalized);
+  applyNormalizedFields(
+    normalized,
+    normalized.productRegion || extractRegion(normalized.availabilityZone || normalized.usageType || '')
+  );
+
+  // Extract tags
+  normalized.tags = extractTags(row, format);
+
+  return normalized;
+}
+
+/**
+ * Whether a source column is read when normalizing rows of a format
+ */
+function isMappedColumn(column, format = 'dbr') {
+  if (Object.prototype.hasOwnProperty.call(COLUMN_MAPS[format] || CSV_COLUMNS, column)) return true;
+
+  if (format === 'dbr') return column.startsWith(TAG_PREFIX);
+  if (format === 'cur') return column.startsWith(CUR_TAG_PREFIX);
+  if (format === 'cur2') {
+    return column === CUR2_PRODUCT_COLUMN || column === CUR2_TAG_COLUMN || column.startsWith(CUR2_TAG_PREFIX);
+  }
+  return false;
+}
+
+/**
+ * Extract region from availability zone or usage type
+ */
+function extractRegion(value) {
+  if (!value) return 'unknown';
+  
+  // AWS regions pattern
+  const regionMatch = value.match(/(us|eu|ap|sa|ca|cn|af)-(north|south|east|west|central)-\d/);
+  if (regionMatch) {
+    return regionMatch[0];
+  }
+  
+  // Try to extract from availability zone (e.g., us-east-1a -> us-east-1)
+  const azMatch = value.match(/([a-z]{2}-[a-z]+-\d+)[a-z]/);
+  if (azMatch) {
+    return azMatch[1];
+  }
+  
+  return 'unknown';
+}
+
+module.exports = {
+  provider: 'aws',
+  formats: ['dbr', 'cur', 'cur2'],
+  CSV_COLUMNS,
+  detect,
+  normalize,
+  isMappedColumn,
+  extractRegion
+};
@@ -0,0 +1,124 @@
+const {
+  mapColumns,
+  parseFieldTypes,
+  applyNormalizedFields,
+  parseJSONColumn
+} = require('./adapterUtils');
+
+// Azure Cost Management export column mapping. Header casing differs between
+// EA, MCA and pay-as-you-go exports, so keys are matched lower-cased.
+// Where several columns map to one field the first non-empty one wins.
+const AZURE_COLUMNS = {
+  'invoiceid': 'invoiceId',
+  'billingaccountid': 'payerAccountId',
+  'subscriptionid': 'linkedAccountId',
+  'subscriptionguid': 'linkedAccountId',
+  'chargetype': 'recordType',
+  'metercategory': 'productName',
+  'servicename': 'productName',
+  'consumedservice': 'productCode',
+  'metername': 'usageType',
+  'metersubcategory': 'productFamily',
+  'additionalinfo': 'itemDescription',
+  'date': 'usageStartDate',
+  'usagedatetime': 'usageStartDate',
+  'usagedate': 'usageStartDate',
+  'quantity': 'usageQuantity',
+  'usagequantity': 'usageQuantity',
+  'consumedquantity': 'usageQuantity',
+  'effectiveprice': 'unblendedRate',
+  'unitprice': 'unblendedRate',
+  'costinbillingcurrency': 'unblendedCost',
+  'pretaxcost': 'unblendedCost',
+  'cost': 'unblendedCost',
+  'billingcurrencycode': 'currencyCode',
+  'billingcurrency': 'currencyCode',
+  'currency': 'currencyCode',
+  'resourceid': 'resourceId',
+  'instanceid': 'resourceId',
+  'resourcelocation': 'productRegion',
+  'meterregion': 'productRegion',
+  'availabilityzone': 'availabilityZone',
+  'meterid': 'sku',
+  'unitofmeasure': 'pricingUnit',
+  'pricingmodel': 'pricingTerm',
+  'reservationid': 'reservationArn',
+  'billingperiodstartdate': 'billingPeriodStartDate',
+  'billingperiodenddate': 'billingPeriodEndDate'
+};
+
+const TAGS_COLUMN = 'tags';
+
+/**
+ * Lower-case the keys of a row so column lookups ignore export casing
+ */
+function lowerCaseKeys(row) {
+  const lowered = {};
+  Object.keys(row).forEach(key => {
+    lowered[key.toLowerCase()] = row[key];
+  });
+  return lowered;
+}
+
+/**
+ * Detect an Azure Cost Management export from its header row
+ */
+function detect(headers) {
+  const lowered = headers.map(h => h.toLowerCase());
+  const hasSubscription = lowered.includes('subscriptionid') || lowered.includes('subscriptionguid');
+  const hasMeter = lowered.includes('metercategory') || lowered.includes('meterid');
+  return hasSubscription && hasMeter ? 'azure' : null;
+}
+
+/**
+ * Parse the Tags column. Older exports omit the surrounding braces.
+ */
+function extractTags(value) {
+  const tags = new Map();
+  if (!value) return tags;
+
+  const trimmed = value.trim();
+  const parsed = parseJSONColumn(trimmed.startsWith('{') ? trimmed : `{${trimmed}}`);
+  Object.entries(parsed).forEach(([key, tagValue]) => {
+    if (tagValue !== null && tagValue !== '') {
+      tags.set(key, String(tagValue));
+    }
+  });
+  return tags;
+}
+
+/**
+ * Normalize an Azure Cost Management export row
+ */
+function normalize(row) {
+  const lowered = lowerCaseKeys(row);
+  const normalized = mapColumns(lowered, AZURE_COLUMNS);
+
+  parseFieldTypes(normalized);
+
+  // Exports mix display names ("EU West") and programmatic names ("westeurope")
+  const region = normalized.productRegion
+    ? normalized.productRegion.toLowerCase().replace(/\s+/g, '')
+    : 'unknown';
+  applyNormalizedFields(normalized, region);
+
+  normalized.tags = extractTags(lowered[TAGS_COLUMN]);
+
+  return normalized;
+}
+
+/**
+ * Whether a source column is read when normalizing rows
+ */
+function isMappedColumn(column) {
+  const key = column.toLowerCase();
+  return Object.prototype.hasOwnProperty.call(AZURE_COLUMNS, key) || key === TAGS_COLUMN;
+}
+
+module.exports = {
+  provider: 'azure',
+  formats: ['azure'],
+  detect,
+  normalize,
+  isMappedColumn
+};
@@ -0,0 +1,148 @@
+const {
+  DATE_FIELDS,
+  NUMERIC_FIELDS,
+  parseFieldTypes,
+  applyNormalizedFields
+} = require('./adapterUtils');
+
+// Date format tokens and the Date.UTC argument each one fills
+const DATE_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  MM: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{1,2})', part: 'day' },
+  HH: { pattern: '(\\d{1,2})', part: 'hour' },
+  mm: { pattern: '(\\d{1,2})', part: 'minute' },
+  ss: { pattern: '(\\d{1,2})', part: 'second' }
+};
+
+const dateParsers = new Map();
+
+/**
+ * Build (and cache) a parser for a token pattern such as 'DD/MM/YYYY HH:mm'
+ */
+function getDateParser(dateFormat) {
+  if (dateParsers.has(dateFormat)) {
+    return dateParsers.get(dateFormat);
+  }
+
+  const parts = [];
+  const source = dateFormat
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|MM|DD|HH|mm|ss/g, token => {
+      parts.push(DATE_TOKENS[token].part);
+      return DATE_TOKENS[token].pattern;
+    });
+  const regex = new RegExp(`^${source}`);
+
+  const parser = (value) => {
+    const match = regex.exec(value.trim());
+    if (!match) return new Date(NaN);
+
+    const values = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    parts.forEach((part, index) => {
+      values[part] = parseInt(match[index + 1]);
+    });
+    return new Date(Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second));
+  };
+
+  dateParsers.set(dateFormat, parser);
+  return parser;
+}
+
+// Amounts once currency symbols and spaces are removed, per decimal separator: an optional
+// sign, digits either plain or grouped in thousands by the other separator, and decimals
+const AMOUNT_PATTERNS = {
+  '.': /^[+-]?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?$/,
+  ',': /^[+-]?(\d{1,3}(\.\d{3})+|\d*)(,\d+)?$/
+};
+const SCIENTIFIC_NOTATION = /^[+-]?(\d+\.?\d*|\.\d+)e[+-]?\d+$/i;
+
+/**
+ * Parse an amount, ignoring currency symbols and thousands separators. An amount in
+ * parentheses (accounting notation, e.g. "($1,234.50)") is negative. Placeholders such as
+ * "N/A" and amounts that do not fit the decimal separator (e.g. "1.234,56" when it is '.')
+ * give NaN, so their row is rejected rather than stored with a wrong amount.
+ */
+function cleanNumber(value, decimalSeparator = '.') {
+  const text = String(value).trim();
+  if (decimalSeparator === '.' && SCIENTIFIC_NOTATION.test(text)) {
+    return parseFloat(text);
+  }
+
+  const amount = text.replace(/[^0-9.,+-]/g, '');
+  if (!/\d/.test(amount) || !AMOUNT_PATTERNS[decimalSeparator].test(amount)) {
+    return NaN;
+  }
+
+  const groupSeparator = decimalSeparator === '.' ? ',' : '.';
+  const number = parseFloat(amount.split(groupSeparator).join('').replace(decimalSeparator, '.'));
+  return /\([^()]*\d[^()]*\)/.test(text) && number > 0 ? -number : number;
+}
+
+/**
+ * Normalize a row using a user-defined mapping profile
+ */
+function normalize(row, format, profile) {
+  if (!profile) {
+    throw new Error('A mapping profile is required for custom billing files');
+  }
+
+  const normalized = {};
+  (profile.columns || []).forEach(({ source, field }) => {
+    if (row[source] !== undefined && row[source] !== '') {
+      normalized[field] = row[source];
+    }
+  });
+  if (row[profile.costColumn] !== undefined && row[profile.costColumn] !== '') {
+    normalized.unblendedCost = row[profile.costColumn];
+  }
+
+  NUMERIC_FIELDS.forEach(field => {
+    if (normalized[field]) {
+      normalized[field] = cleanNumber(normalized[field], profile.decimalSeparator);
+    }
+  });
+
+  if (profile.dateFormat) {
+    const parseDate = getDateParser(profile.dateFormat);
+    DATE_FIELDS.forEach(field => {
+      if (normalized[field]) {
+        normalized[field] = parseDate(normalized[field]);
+      }
+    });
+  }
+
+  parseFieldTypes(normalized);
+  applyNormalizedFields(normalized);
+  normalized.provider = profile.provider || 'other';
+
+  normalized.tags = new Map();
+  if (profile.tagPrefix) {
+    Object.keys(row).forEach(key => {
+      if (key.startsWith(profile.tagPrefix) && row[key]) {
+        normalized.tags.set(key.substring(profile.tagPrefix.length), row[key]);
+      }
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * Whether a source column is read by a mapping profile
+ */
+function isMappedColumn(column, format, profile) {
+  if (!profile) return false;
+  return column === profile.costColumn ||
+    (profile.columns || []).some(({ source }) => source === column) ||
+    Boolean(profile.tagPrefix && column.startsWith(profile.tagPrefix));
+}
+
+module.exports = {
+  provider: 'other',
+  formats: ['custom'],
+  // Custom files are never auto-detected; they are selected with a mapping profile
+  detect: () => null,
+  normalize,
+  isMappedColumn
+};
@@ -0,0 +1,214 @@
+const {
+  mapColumns,
+  parseFieldTypes,
+  applyNormalizedFields,
+  parseJSONColumn
+} = require('./adapterUtils');
+
+// FinOps Open Cost and Usage Specification (FOCUS 1.0) column mapping
+const FOCUS_COLUMNS = {
+  'InvoiceId': 'invoiceId',
+  'BillingAccountId': 'payerAccountId',
+  'SubAccountId': 'linkedAccountId',
+  'ChargeCategory': 'recordType',
+  'ServiceName': 'productName',
+  'ChargeDescription': 'itemDescription',
+  'ChargePeriodStart': 'usageStartDate',
+  'ChargePeriodEnd': 'usageEndDate',
+  'BillingPeriodStart': 'billingPeriodStartDate',
+  'BillingPeriodEnd': 'billingPeriodEndDate',
+  'ConsumedQuantity': 'usageQuantity',
+  'PricingUnit': 'pricingUnit',
+  'PricingCategory': 'pricingTerm',
+  'ContractedUnitPrice': 'unblendedRate',
+  'BilledCost': 'unblendedCost',
+  'EffectiveCost': 'effectiveCost',
+  'ListUnitPrice': 'publicOnDemandRate',
+  'ListCost': 'publicOnDemandCost',
+  'BillingCurrency': 'currencyCode',
+  'RegionId': 'productRegion',
+  'AvailabilityZone': 'availabilityZone',
+  'ResourceId': 'resourceId',
+  'SkuId': 'sku'
+};
+
+// Columns written by the FOCUS export, in output order
+const FOCUS_EXPORT_COLUMNS = [
+  'BillingAccountId',
+  'SubAccountId',
+  'InvoiceId',
+  'ProviderName',
+  'PublisherName',
+  'InvoiceIssuerName',
+  'BillingCurrency',
+  'BillingPeriodStart',
+  'BillingPeriodEnd',
+  'ChargePeriodStart',
+  'ChargePeriodEnd',
+  'ChargeCategory',
+  'ChargeDescription',
+  'PricingCategory',
+  'ServiceName',
+  'SkuId',
+  'RegionId',
+  'AvailabilityZone',
+  'ResourceId',
+  'ConsumedQuantity',
+  'ConsumedUnit',
+  'PricingUnit',
+  'ListUnitPrice',
+  'ListCost',
+  'ContractedUnitPrice',
+  'BilledCost',
+  'EffectiveCost',
+  'CommitmentDiscountId',
+  'Tags'
+];
+
+// ProviderName values as published by each cloud's FOCUS export
+const PROVIDER_NAMES = {
+  aws: 'AWS',
+  azure: 'Microsoft',
+  gcp: 'Google Cloud'
+};
+
+/**
+ * Detect a FOCUS dataset from its header row
+ */
+function detect(headers) {
+  return headers.includes('BilledCost') && headers.includes('ChargePeriodStart') ? 'focus' : null;
+}
+
+/**
+ * Map a FOCUS ProviderName onto the provider dimension
+ */
+function toProvider(providerName) {
+  const name = (providerName || '').toLowerCase();
+  if (name.includes('aws') || name.includes('amazon')) return 'aws';
+  if (name.includes('microsoft') || name.includes('azure')) return 'azure';
+  if (name.includes('google') || name.includes('gcp')) return 'gcp';
+  return 'other';
+}
+
+/**
+ * Normalize a FOCUS row
+ */
+function normalize(row) {
+  const normalized = mapColumns(row, FOCUS_COLUMNS);
+
+  if (row.CommitmentDiscountId) {
+    const field = row.CommitmentDiscountType === 'Reservation' ? 'reservationArn' : 'savingsPlanArn';
+    normalized[field] = row.CommitmentDiscountId;
+  }
+
+  parseFieldTypes(normalized);
+  applyNormalizedFields(normalized);
+
+  normalized.provider = toProvider(row.ProviderName);
+
+  normalized.tags = new Map();
+  Object.entries(parseJSONColumn(row.Tags)).forEach(([key, value]) => {
+    if (value !== null && value !== '') {
+      normalized.tags.set(key, String(value));
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Whether a source column is read when normalizing rows
+ */
+function isMappedColumn(column) {
+  return Object.prototype.hasOwnProperty.call(FOCUS_COLUMNS, column) ||
+    ['ProviderName', 'CommitmentDiscountId', 'CommitmentDiscountType', 'Tags'].includes(column);
+}
+
+/**
+ * Map a provider record/line item type onto a FOCUS ChargeCategory
+ */
+function toChargeCategory(recordType) {
+  const type = recordType || '';
+  if (/tax/i.test(type)) return 'Tax';
+  if (/credit|refund|discount|negation/i.test(type)) return 'Credit';
+  if (/fee|purchase/i.test(type)) return 'Purchase';
+  if (/adjustment|rounding/i.test(type)) return 'Adjustment';
+  return 'Usage';
+}
+
+/**
+ * Map a pricing term onto a FOCUS PricingCategory
+ */
+function toPricingCategory(pricingTerm) {
+  if (!pricingTerm) return '';
+  if (/reserv|savings|commit/i.test(pricingTerm)) return 'Committed';
+  if (/spot|dynamic/i.test(pricingTerm)) return 'Dynamic';
+  if (/on.?demand|standard/i.test(pricingTerm)) return 'Standard';
+  return 'Other';
+}
+
+/**
+ * Format a date as an ISO 8601 string, or an empty cell
+ */
+function toISO(date) {
+  return date ? new Date(date).toISOString() : '';
+}
+
+/**
+ * Express a stored line item as a FOCUS record
+ */
+function toFocusRecord(item) {
+  const usageStart = item.usageStartDate ? new Date(item.usageStartDate) : null;
+  // Fall back to the calendar month of the charge when the billing period is unknown
+  const billingPeriodStart = item.billingPeriodStartDate ||
+    (usageStart && new Date(Date.UTC(usageStart.getUTCFullYear(), usageStart.getUTCMonth(), 1)));
+  const billingPeriodEnd = item.billingPeriodEndDate ||
+    (usageStart && new Date(Date.UTC(usageStart.getUTCFullYear(), usageStart.getUTCMonth() + 1, 1)));
+  const providerName = PROVIDER_NAMES[item.provider || 'aws'] || item.provider;
+  const billedCost = item.cost || 0;
+  const effectiveCost = item.amortizedCost ?? item.effectiveCost ?? item.savingsPlanEffectiveCost ??
+    item.reservationEffectiveCost ?? billedCost;
+  const tags = item.tags instanceof Map ? Object.fromEntries(item.tags) : (item.tags || {});
+
+  return {
+    BillingAccountId: item.payerAccountId || item.accountId || '',
+    SubAccountId: item.linkedAccountId || item.accountId || '',
+    InvoiceId: item.invoiceId || '',
+    ProviderName: providerName,
+    PublisherName: providerName,
+    InvoiceIssuerName: providerName,
+    BillingCurrency: item.currencyCode || 'USD',
+    BillingPeriodStart: toISO(billingPeriodStart),
+    BillingPeriodEnd: toISO(billingPeriodEnd),
+    ChargePeriodStart: toISO(item.usageStartDate),
+    ChargePeriodEnd: toISO(item.usageEndDate || item.usageStartDate),
+    ChargeCategory: toChargeCategory(item.recordType),
+    ChargeDescription: item.itemDescription || '',
+    PricingCategory: toPricingCategory(item.pricingTerm),
+    ServiceName: item.service || '',
+    SkuId: item.sku || '',
+    RegionId: item.region && item.region !== 'unknown' ? item.region : '',
+    AvailabilityZone: item.availabilityZone || '',
+    ResourceId: item.resourceId || '',
+    ConsumedQuantity: item.usageQuantityNormalized ?? '',
+    ConsumedUnit: item.pricingUnit || '',
+    PricingUnit: item.pricingUnit || '',
+    ListUnitPrice: item.publicOnDemandRate ?? '',
+    ListCost: item.publicOnDemandCost ?? '',
+    ContractedUnitPrice: item.unblendedRate ?? '',
+    BilledCost: billedCost,
+    EffectiveCost: effectiveCost,
+    CommitmentDiscountId: item.reservationArn || item.savingsPlanArn || '',
+    Tags: JSON.stringify(tags)
+  };
+}
+
+module.exports = {
+  provider: 'other',
+  formats: ['focus'],
+  FOCUS_EXPORT_COLUMNS,
+  detect,
+  normalize,
+  isMappedColumn,
+  toFocusRecord
+};
@@ -0,0 +1,135 @@
+const {
+  mapColumns,
+  parseFieldTypes,
+  applyNormalizedFields
+} = require('./adapterUtils');
+
+// GCP BigQuery billing export column mapping. Nested record fields arrive
+// dotted ("service.description") from JSONL and usually underscored
+// ("service_description") from CSV queries; keys are matched underscored.
+const GCP_COLUMNS = {
+  'billing_account_id': 'payerAccountId',
+  'project_id': 'linkedAccountId',
+  'cost_type': 'recordType',
+  'service_description': 'productName',
+  'service_id': 'productCode',
+  'sku_description': 'usageType',
+  'sku_id': 'sku',
+  'resource_name': 'resourceId',
+  'resource_global_name': 'resourceId',
+  'usage_start_time': 'usageStartDate',
+  'usage_end_time': 'usageEndDate',
+  'usage_amount': 'usageQuantity',
+  'usage_unit': 'pricingUnit',
+  'cost': 'unblendedCost',
+  'currency': 'currencyCode',
+  'location_region': 'productRegion',
+  'location_zone': 'availabilityZone',
+  'location_location': 'productRegion'
+};
+
+const LABELS_COLUMN = 'labels';
+const INVOICE_MONTH_COLUMN = 'invoice_month';
+
+/**
+ * Convert "service.description" / "Service_Description" to "service_description"
+ */
+function toColumnKey(key) {
+  return key.toLowerCase().replace(/\./g, '_');
+}
+
+/**
+ * Index a row by its underscored column keys
+ */
+function indexRow(row) {
+  const indexed = {};
+  Object.keys(row).forEach(key => {
+    indexed[toColumnKey(key)] = row[key];
+  });
+  return indexed;
+}
+
+/**
+ * Detect a GCP billing export from its header row
+ */
+function detect(headers) {
+  const keys = headers.map(toColumnKey);
+  const hasService = keys.includes('service_description') || keys.includes('service_id');
+  const hasSku = keys.includes('sku_description') || keys.includes('sku_id');
+  return keys.includes('billing_account_id') || (hasService && hasSku) ? 'gcp' : null;
+}
+
+/**
+ * Parse labels, which BigQuery exports as a JSON array of { key, value } pairs
+ */
+function extractLabels(value) {
+  const tags = new Map();
+  if (!value) return tags;
+
+  let labels;
+  try {
+    labels = JSON.parse(value);
+  } catch (err) {
+    return tags;
+  }
+
+  if (Array.isArray(labels)) {
+    labels.forEach(label => {
+      if (label && label.key && label.value) {
+        tags.set(label.key, String(label.value));
+      }
+    });
+  } else if (labels && typeof labels === 'object') {
+    Object.entries(labels).forEach(([key, labelValue]) => {
+      if (labelValue) tags.set(key, String(labelValue));
+    });
+  }
+  return tags;
+}
+
+/**
+ * Parse a "YYYYMM" invoice month into the first day of that month (UTC)
+ */
+function parseInvoiceMonth(value) {
+  const match = /^(\d{4})(\d{2})$/.exec(value || '');
+  if (!match) return undefined;
+  return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, 1));
+}
+
+/**
+ * Normalize a GCP billing export row
+ */
+function normalize(row) {
+  const indexed = indexRow(row);
+  const normalized = mapColumns(indexed, GCP_COLUMNS);
+
+  parseFieldTypes(normalized);
+  applyNormalizedFields(normalized, normalized.productRegion || 'global');
+
+  const billingPeriodStart = parseInvoiceMonth(indexed[INVOICE_MONTH_COLUMN]);
+  if (billingPeriodStart) {
+    normalized.invoiceId = indexed[INVOICE_MONTH_COLUMN];
+    normalized.billingPeriodStartDate = billingPeriodStart;
+  }
+
+  normalized.tags = extractLabels(indexed[LABELS_COLUMN]);
+
+  return normalized;
+}
+
+/**
+ * Whether a source column is read when normalizing rows
+ */
+function isMappedColumn(column) {
+  const key = toColumnKey(column);
+  return Object.prototype.hasOwnProperty.call(GCP_COLUMNS, key) ||
+    key === LABELS_COLUMN || key === INVOICE_MONTH_COLUMN;
+}
+
+module.exports = {
+  provider: 'gcp',
+  formats: ['gcp'],
+  detect,
+  normalize,
+  isMappedColumn
+};
@@ -0,0 +1,52 @@
+const awsAdapter = require('./awsAdapter');
+const azureAdapter = require('./azureAdapter');
+const gcpAdapter = require('./gcpAdapter');
+const focusAdapter = require('./focusAdapter');
+const customAdapter = require('./customAdapter');
+
+// Source adapters in detection order. The custom adapter is only used when an
+// upload selects a mapping profile.
+const adapters = [focusAdapter, azureAdapter, gcpAdapter, awsAdapter, customAdapter];
+
+/**
+ * Detect the source format of a header row, or null if no adapter recognises it
+ */
+function detectFormat(headers) {
+  for (const adapter of adapters) {
+    const format = adapter.detect(headers);
+    if (format) return format;
+  }
+  return null;
+}
+
+/**
+ * Find the adapter that handles a format
+ */
+function getAdapter(format) {
+  return adapters.find(adapter => adapter.formats.includes(format)) || awsAdapter;
+}
+
+/**
+ * Split a header row into the columns the format's adapter reads and those it ignores
+ */
+function classifyColumns(headers, format, mappingProfile = null) {
+  const adapter = getAdapter(format);
+  const mapped = [];
+  const unmapped = [];
+
+  headers.forEach(column => {
+    if (adapter.isMappedColumn(column, format, mappingProfile)) {
+      mapped.push(column);
+    } else {
+      unmapped.push(column);
+    }
+  });
+
+  return { mapped, unmapped };
+}
+
+module.exports = {
+  detectFormat,
+  getAdapter,
+  classifyColumns
+};
@@ -1,36 +1,61 @@
 const BillingLineItem = require('../models/BillingLineItem');
 const Aggregate = require('../models/Aggregate');
 const Anomaly = require('../models/Anomaly');
+const { getReportingSettings } = require('../utils/reportingSettings');
+const { startOfDay, addDays } = require('../utils/timezone');
 
 /**
- * Detect anomalies using rolling mean and standard deviation
+ * Detect anomalies using rolling mean and standard deviation. Days, and the lookback
+ * window, follow the user's reporting timezone.
  */
 async function detectAnomalies(options = {}) {
   const {
+    provider,
     accountId,
     service,
     lookbackDays = 30,
     threshold = 2.5 // z-score threshold
   } = options;
 
+  const { timezone } = await getReportingSettings(options.userId);
   const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - lookbackDays);
+  const startDate = addDays(startOfDay(endDate, timezone), -lookbackDays, timezone);
 
   // Build query
   const query = {
     date: { $gte: startDate, $lte: endDate },
-    aggregationType: 'daily'
+    aggregationType: 'daily',
+    ...Aggregate.BASE_GRAIN
   };
   
   if (options.userId) query.userId = options.userId;
+  if (provider) query.provider = provider;
   if (accountId) query.accountId = accountId;
   if (service) query.service = service;
 
-  // Get daily aggregates
-  let aggregates = await Aggregate.find(query)
-    .sort({ date: 1 })
-    .lean();
+  // Get daily aggregates. Daily buckets are split by charge category; a series needs
+  // one point per day, so the categories are summed.
+  let aggregates = await Aggregate.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: { date: '$date', provider: '$provider', accountId: '$accountId', service: '$service', region: '$region' },
+        totalCost: { $sum: '$totalCost' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id.date',
+        provider: '$_id.provider',
+        accountId: '$_id.accountId',
+        service: '$_id.service',
+        region: '$_id.region',
+        totalCost: 1
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
 
   // Fallback to line items if no aggregates found
   if (aggregates.length === 0) {
@@ -38,21 +63,22 @@ async function detectAnomalies(options = {}) {
       userId: options.userId,
       usageStartDate: { $gte: startDate, $lte: endDate }
     };
+    if (provider) lineItemQuery.provider = provider;
     if (accountId) lineItemQuery.accountId = accountId;
     if (service) lineItemQuery.service = service;
 
     const lineItems = await BillingLineItem.find(lineItemQuery).lean();
     
-    // Group by date, account, service, region
+    // Group by date, provider, account, service, region
     const dailyMap = new Map();
     lineItems.forEach(item => {
-      const date = new Date(item.usageStartDate || item.ingestionDate);
-      date.setHours(0, 0, 0, 0);
-      const key = `${date.toISOString()}_${item.accountId || 'all'}_${item.service || 'all'}_${item.region || 'all'}`;
+      const date = startOfDay(new Date(item.usageStartDate || item.ingestionDate), timezone);
+      const key = `${date.toISOString()}_${item.provider || 'aws'}_${item.accountId || 'all'}_${item.service || 'all'}_${item.region || 'all'}`;
       
       if (!dailyMap.has(key)) {
         dailyMap.set(key, {
           date,
+          provider: item.provider || 'aws',
           accountId: item.accountId,
           service: item.service,
           region: item.region,
@@ -69,10 +95,10 @@ async function detectAnomalies(options = {}) {
     return []; // Need at least a week of data
   }
 
-  // Group by account/service/region
+  // Group by provider/account/service/region
   const groups = {};
   aggregates.forEach(agg => {
-    const key = `${agg.accountId || 'all'}_${agg.service || 'all'}_${agg.region || 'all'}`;
+    const key = `${agg.provider || 'aws'}_${agg.accountId || 'all'}_${agg.service || 'all'}_${agg.region || 'all'}`;
     if (!groups[key]) {
       groups[key] = [];
     }
@@ -95,12 +121,13 @@ async function detectAnomalies(options = {}) {
       const zScore = Math.abs((agg.totalCost - mean) / stdDev);
       
       if (zScore > threshold) {
-        const [account, service, region] = key.split('_');
+        const [groupProvider, account, service, region] = key.split('_');
         
         const anomaly = {
           type: agg.totalCost > mean ? 'spike' : 'drop',
           severity: zScore > 4 ? 'critical' : zScore > 3 ? 'high' : 'medium',
           userId: options.userId, // Associate with user
+          provider: groupProvider,
           accountId: account !== 'all' ? account : undefined,
           service: service !== 'all' ? service : undefined,
           region: region !== 'all' ? region : undefined,
@@ -131,7 +158,7 @@ async function detectAnomalies(options = {}) {
         region: anomaly.region || { $exists: true },
         usageStartDate: {
           $gte: new Date(anomaly.date),
-          $lt: new Date(anomaly.date.getTime() + 24 * 60 * 60 * 1000)
+          $lt: addDays(anomaly.date, 1, timezone)
         }
       }).limit(100).select('_id');
       
@@ -147,7 +174,42 @@ async function detectAnomalies(options = {}) {
   return anomalies;
 }
 
+/**
+ * Remove anomalies whose account/service/region no longer has line items on the anomaly date
+ * (a day in timeZone), e.g. after the data they were detected in has been deleted
+ */
+async function removeOrphanedAnomalies(userId, { accountIds, startDate, endDate, timeZone }) {
+  const anomalies = await Anomaly.find({
+    userId,
+    accountId: { $in: accountIds },
+    date: { $gte: startDate, $lte: endDate }
+  }).lean();
+
+  const orphanedIds = [];
+  for (const anomaly of anomalies) {
+    const dayStart = new Date(anomaly.date);
+    const remaining = await BillingLineItem.exists({
+      userId,
+      accountId: anomaly.accountId,
+      service: anomaly.service || { $exists: true },
+      region: anomaly.region || { $exists: true },
+      usageStartDate: {
+        $gte: dayStart,
+        $lt: addDays(dayStart, 1, timeZone)
+      }
+    });
+    if (!remaining) {
+      orphanedIds.push(anomaly._id);
+    }
+  }
+
+  if (orphanedIds.length === 0) return 0;
+  const result = await Anomaly.deleteMany({ _id: { $in: orphanedIds } });
+  return result.deletedCount;
+}
+
 module.exports = {
-  detectAnomalies
+  detectAnomalies,
+  removeOrphanedAnomalies
 };
 
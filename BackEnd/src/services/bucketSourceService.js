@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
+const BucketSource = require('../models/BucketSource');
+const IngestedObject = require('../models/IngestedObject');
+const IngestionJob = require('../models/IngestionJob');
+const MappingProfile = require('../models/MappingProfile');
+const User = require('../models/User');
+const { decryptSecret } = require('../utils/secrets');
+
+// Same file types as /api/upload; CUR data files are usually .csv.gz, .csv.zip or .parquet
+const SUPPORTED_EXTENSIONS = ['.csv', '.json', '.jsonl', '.gz', '.zip', '.parquet'];
+
+// Billing-period folder of a report: '20240101-20240201' (CUR) or 'BILLING_PERIOD=2024-01' (CUR 2.0)
+const BILLING_PERIOD_FOLDER = /(^|\/)(\d{8}-\d{8}|BILLING_PERIOD=\d{4}-\d{2})\//;
+
+/**
+ * Create an S3 client for a bucket source
+ */
+function createClient(source) {
+  return new S3Client({
+    region: source.region || 'us-east-1',
+    endpoint: source.endpoint || undefined,
+    forcePathStyle: source.forcePathStyle,
+    credentials: source.accessKeyId
+      ? { accessKeyId: source.accessKeyId, secretAccessKey: decryptSecret(source.secretAccessKey) }
+      : undefined
+  });
+}
+
+function isSupportedKey(key) {
+  const fileName = path.posix.basename(key);
+  return !fileName.startsWith('.') && SUPPORTED_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+function isManifestKey(key) {
+  return key.toLowerCase().endsWith('-manifest.json');
+}
+
+/**
+ * List every object under the source's prefix
+ */
+async function listObjects(client, source) {
+  const objects = [];
+  let continuationToken;
+
+  do {
+    const response = await client.send(new ListObjectsV2Command({
+      Bucket: source.bucket,
+      Prefix: source.prefix || undefined,
+      ContinuationToken: continuationToken
+    }));
+    (response.Contents || []).forEach(object => {
+      if (!object.Key.endsWith('/')) objects.push(object);
+    });
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+}
+
+/**
+ * Keep the most recent manifest of each billing period. A restated period gets a new
+ * manifest pointing at a new set of data files; the older ones are superseded.
+ */
+function selectLatestManifests(manifests) {
+  const latest = new Map();
+  manifests.forEach(object => {
+    const match = object.Key.match(BILLING_PERIOD_FOLDER);
+    const period = match
+      ? object.Key.slice(0, match.index + match[0].length)
+      : path.posix.dirname(object.Key);
+    const current = latest.get(period);
+    if (!current || new Date(object.LastModified) > new Date(current.LastModified)) {
+      latest.set(period, object);
+    }
+  });
+  return Array.from(latest.values());
+}
+
+/**
+ * Data file keys listed by a manifest: 'reportKeys' in CUR manifests,
+ * 'dataFiles' (s3:// URIs) in CUR 2.0 data export manifests
+ */
+function getManifestDataKeys(manifest, bucket) {
+  if (Array.isArray(manifest.reportKeys)) {
+    return manifest.reportKeys;
+  }
+  return (manifest.dataFiles || []).map(uri => uri.replace(`s3://${bucket}/`, ''));
+}
+
+async function readManifest(client, source, key) {
+  const response = await client.send(new GetObjectCommand({ Bucket: source.bucket, Key: key }));
+  return JSON.parse(await response.Body.transformToString());
+}
+
+/**
+ * Work out which data files the bucket currently holds: those listed by the latest
+ * manifest of each billing period or, when there are no manifests, every supported file
+ */
+async function findDataFiles(client, source, logger) {
+  const objects = await listObjects(client, source);
+  const manifests = objects.filter(object => isManifestKey(object.Key));
+
+  if (manifests.length === 0) {
+    return objects.filter(object => isSupportedKey(object.Key));
+  }
+
+  const byKey = new Map(objects.map(object => [object.Key, object]));
+  const dataFiles = [];
+
+  for (const manifestObject of selectLatestManifests(manifests)) {
+    let manifest;
+    try {
+      manifest = await readManifest(client, source, manifestObject.Key);
+    } catch (err) {
+      logger.error(`Could not read manifest ${manifestObject.Key} of bucket source ${source.name}:`, err);
+      continue;
+    }
+
+    getManifestDataKeys(manifest, source.bucket).forEach(key => {
+      const object = byKey.get(key);
+      if (object) {
+        dataFiles.push(object);
+      } else {
+        logger.warn(`Manifest ${manifestObject.Key} lists ${key}, which is not in the bucket yet`);
+      }
+    });
+  }
+
+  return dataFiles;
+}
+
+/**
+ * Download an object into the upload directory. Returns its path and version.
+ */
+async function downloadObject(client, source, key, uploadDir) {
+  const response = await client.send(new GetObjectCommand({ Bucket: source.bucket, Key: key }));
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filePath = path.join(uploadDir, 'billing-' + uniqueSuffix + path.extname(key).toLowerCase());
+  try {
+    await pipeline(response.Body, fs.createWriteStream(filePath));
+  } catch (err) {
+    fs.unlink(filePath, () => {});
+    throw err;
+  }
+
+  return { filePath, versionId: response.VersionId };
+}
+
+/**
+ * Download the data files of a bucket source that were not ingested yet and queue an
+ * ingestion job for each. Objects are tracked by key and ETag, so a file rewritten in
+ * place is ingested again. Returns the jobs created.
+ */
+async function syncBucketSource(source, logger, uploadDir = process.env.UPLOAD_DIR || './uploads') {
+  try {
+    let mappingProfile = null;
+    if (source.mappingProfileId) {
+      mappingProfile = await MappingProfile.findOne({ _id: source.mappingProfileId, userId: source.userId }).lean();
+      if (!mappingProfile) {
+        throw new Error('Mapping profile not found');
+      }
+    }
+
+    const client = createClient(source);
+    const dataFiles = await findDataFiles(client, source, logger);
+
+    const ingested = await IngestedObject.find({
+      sourceId: source._id,
+      key: { $in: dataFiles.map(object => object.Key) }
+    }).select('key etag').lean();
+    const ingestedVersions = new Set(ingested.map(object => `${object.key}\n${object.etag}`));
+
+    const newFiles = dataFiles
+      .map(object => ({ ...object, ETag: (object.ETag || '').replace(/"/g, '') }))
+      .filter(object => !ingestedVersions.has(`${object.Key}\n${object.ETag}`))
+      .sort((a, b) => new Date(a.LastModified) - new Date(b.LastModified));
+
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    const jobs = [];
+
+    for (const object of newFiles) {
+      // Claim the object version first, so concurrent syncs never queue it twice
+      let record;
+      try {
+        record = await IngestedObject.create({
+          sourceId: source._id,
+          userId: source.userId,
+          key: object.Key,
+          etag: object.ETag,
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      } catch (err) {
+        if (err.code === 11000) continue; // claimed by another sync
+        throw err;
+      }
+
+      let download;
+      try {
+        download = await downloadObject(client, source, object.Key, uploadDir);
+      } catch (err) {
+        await record.deleteOne();
+        logger.error(`Could not download ${object.Key} from bucket source ${source.name}:`, err);
+        continue;
+      }
+
+      // The pending job is picked up by an ingestion worker (see queueService)
+      let job;
+      try {
+        job = await IngestionJob.create({
+          fileName: path.posix.basename(object.Key),
+          filePath: download.filePath,
+          fileSize: object.Size,
+          status: 'pending',
+          source: 's3',
+          bucketSourceId: source._id,
+          mappingProfileId: mappingProfile ? mappingProfile._id : undefined,
+          duplicateMode: source.duplicateMode,
+          userId: source.userId,
+          createdBy: source.userId
+        });
+      } catch (err) {
+        // Release the claim so the next sync picks the object up again
+        await record.deleteOne().catch(() => {});
+        fs.unlink(download.filePath, () => {});
+        throw err;
+      }
+
+      record.versionId = download.versionId;
+      record.jobId = job._id;
+      await record.save();
+      jobs.push(job);
+    }
+
+    source.lastSyncedAt = new Date();
+    source.lastError = undefined;
+    await source.save();
+
+    if (jobs.length > 0) {
+      logger.info(`Queued ${jobs.length} files from bucket source ${source.name}`);
+    }
+    return jobs;
+  } catch (err) {
+    source.lastError = err.message;
+    await source.save().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Sync every enabled bucket source set up by an admin. A failing source is logged and does
+ * not stop the others.
+ */
+async function syncAllBucketSources(logger) {
+  // Sources reach the server's network and AWS credentials, so only admins manage them
+  const adminIds = await User.distinct('_id', { role: 'admin' });
+  const sources = await BucketSource.find({ enabled: true, createdBy: { $in: adminIds } }).select('+secretAccessKey');
+  let queued = 0;
+
+  for (const source of sources) {
+    try {
+      const jobs = await syncBucketSource(source, logger);
+      queued += jobs.length;
+    } catch (error) {
+      logger.error(`Error syncing bucket source ${source.name}:`, error);
+    }
+  }
+  return queued;
+}
+
+module.exports = {
+  syncBucketSource,
+  syncAllBucketSources
+};
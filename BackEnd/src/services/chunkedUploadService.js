@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const UploadSession = require('../models/UploadSession');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const MB = 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * MB;
+const MIN_CHUNK_SIZE = 1 * MB;
+const MAX_CHUNK_SIZE = 32 * MB;
+// Unfinished uploads are kept this long after their last part
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error carrying the HTTP status the route should answer with
+ */
+function uploadError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * SHA-256 of a buffer as hex
+ */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * SHA-256 of a file on disk as hex
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Start a chunked upload. Parts are written into a temporary file under uploadDir/partial.
+ */
+async function createSession(uploadDir, options) {
+  const { userId, fileName, fileSize, checksum, mappingProfileId, duplicateMode, parentJobId } = options;
+  const chunkSize = Math.min(Math.max(parseInt(options.chunkSize) || DEFAULT_CHUNK_SIZE, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+
+  const partialDir = path.join(uploadDir, 'partial');
+  await fs.promises.mkdir(partialDir, { recursive: true });
+
+  const session = new UploadSession({
+    userId,
+    fileName,
+    fileSize,
+    chunkSize,
+    totalParts: Math.ceil(fileSize / chunkSize),
+    checksum: checksum ? checksum.toLowerCase() : undefined,
+    mappingProfileId: mappingProfileId || undefined,
+    duplicateMode,
+    parentJobId: parentJobId || undefined,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+  session.tempPath = path.join(partialDir, `${session._id}${path.extname(fileName).toLowerCase()}`);
+
+  await fs.promises.writeFile(session.tempPath, '');
+  await session.save();
+  return session;
+}
+
+/**
+ * Write one part at its offset in the temporary file. Parts may arrive in any order and
+ * be re-sent; a part whose SHA-256 does not match the client's checksum is rejected.
+ */
+async function writePart(session, partNumber, buffer, partChecksum) {
+  if (session.status !== 'uploading') {
+    throw uploadError('Upload is already complete', 409);
+  }
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+    throw uploadError(`Part number must be between 1 and ${session.totalParts}`);
+  }
+
+  const offset = (partNumber - 1) * session.chunkSize;
+  const expectedSize = Math.min(session.chunkSize, session.fileSize - offset);
+  if (!buffer || buffer.length !== expectedSize) {
+    throw uploadError(`Part ${partNumber} must be ${expectedSize} bytes`);
+  }
+
+  const digest = sha256(buffer);
+  if (partChecksum && partChecksum.toLowerCase() !== digest) {
+    throw uploadError(`Checksum mismatch for part ${partNumber}`);
+  }
+
+  const handle = await fs.promises.open(session.tempPath, 'r+');
+  try {
+    await handle.write(buffer, 0, buffer.length, offset);
+  } finally {
+    await handle.close();
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    {
+      $addToSet: { receivedParts: partNumber },
+      $set: {
+        [`partChecksums.${partNumber}`]: digest,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw uploadError('Upload is already complete', 409);
+  }
+  return updated;
+}
+
+/**
+ * Verify a finished upload and move it into uploadDir. Returns the final file path.
+ * The session is claimed first, so concurrent calls cannot both reassemble it.
+ */
+async function completeSession(session, uploadDir) {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $set: { status: 'completing' } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw uploadError('Upload is already complete', 409);
+  }
+
+  let filePath;
+  try {
+    const missing = [];
+    const received = new Set(claimed.receivedParts);
+    for (let part = 1; part <= claimed.totalParts; part++) {
+      if (!received.has(part)) missing.push(part);
+    }
+    if (missing.length > 0) {
+      throw uploadError(`Missing parts: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}`);
+    }
+
+    const { size } = await fs.promises.stat(claimed.tempPath);
+    if (size !== claimed.fileSize) {
+      throw uploadError(`Reassembled file is ${size} bytes, expected ${claimed.fileSize}`);
+    }
+
+    if (claimed.checksum) {
+      const digest = await hashFile(claimed.tempPath);
+      if (digest !== claimed.checksum) {
+        throw uploadError('File checksum mismatch');
+      }
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    filePath = path.join(uploadDir, 'billing-' + uniqueSuffix + path.extname(claimed.fileName).toLowerCase());
+    await fs.promises.rename(claimed.tempPath, filePath);
+  } catch (err) {
+    // Let the client send the missing or corrupt parts and complete again
+    await UploadSession.updateOne({ _id: claimed._id, status: 'completing' }, { $set: { status: 'uploading' } });
+    throw err;
+  }
+
+  await UploadSession.updateOne(
+    { _id: claimed._id },
+    { $set: { status: 'completed' }, $unset: { tempPath: 1 } }
+  );
+  session.status = 'completed';
+  session.tempPath = undefined;
+
+  return filePath;
+}
+
+/**
+ * Abandon an upload and delete its temporary file
+ */
+async function abortSession(session) {
+  if (session.tempPath) {
+    await fs.promises.unlink(session.tempPath).catch(() => {});
+  }
+  await session.deleteOne();
+}
+
+/**
+ * Discard unfinished uploads whose last part is older than the session TTL
+ */
+async function removeExpiredSessions() {
+  // A session still 'completing' this long after its last part was left by a crash
+  const expired = await UploadSession.find({
+    status: { $in: ['uploading', 'completing'] },
+    expiresAt: { $lt: new Date() }
+  });
+
+  for (const session of expired) {
+    await abortSession(session);
+  }
+  if (expired.length > 0) {
+    logger.info(`Removed ${expired.length} expired upload sessions`);
+  }
+  return expired.length;
+}
+
+module.exports = {
+  MAX_CHUNK_SIZE,
+  createSession,
+  writePart,
+  completeSession,
+  abortSession,
+  removeExpiredSessions
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const IngestionJob = require('../models/IngestionJob');
+const MappingProfile = require('../models/MappingProfile');
+const User = require('../models/User');
+const queueService = require('./queueService');
+
+// Same file types as /api/upload
+const SUPPORTED_EXTENSIONS = ['.csv', '.json', '.jsonl', '.gz', '.zip', '.parquet'];
+
+// Subfolders of the drop folder: files being ingested, and where they end up
+const PROCESSING_DIR = 'processing';
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+
+const FINISHED_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+
+let scanning = false;
+
+/**
+ * Read drop-folder settings from the environment. The drop folder is disabled
+ * unless DROP_FOLDER_DIR and DROP_FOLDER_USER are set.
+ */
+function getConfigFromEnv() {
+  return {
+    dir: process.env.DROP_FOLDER_DIR,
+    user: process.env.DROP_FOLDER_USER, // username or email owning the ingested data
+    schedule: process.env.DROP_FOLDER_SCHEDULE || '*/5 * * * *',
+    mappingProfileId: process.env.DROP_FOLDER_MAPPING_PROFILE_ID,
+    duplicateMode: process.env.DROP_FOLDER_DUPLICATE_MODE || 'skip',
+    // Files modified more recently than this may still be being copied in
+    settleMs: parseInt(process.env.DROP_FOLDER_SETTLE_MS) || 60 * 1000
+  };
+}
+
+function isEnabled(config) {
+  return Boolean(config.dir && config.user);
+}
+
+function isSupportedFile(fileName) {
+  return !fileName.startsWith('.') && SUPPORTED_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Move a file into a drop-folder subfolder, prefixing it so repeated file names do not collide
+ */
+async function moveFile(filePath, targetDir, fileName) {
+  const target = path.join(targetDir, `${Date.now()}-${fileName}`);
+  await fs.promises.rename(filePath, target);
+  return target;
+}
+
+/**
+ * Move the files of finished drop-folder jobs out of processing/ into processed/ or failed/.
+ * A job its worker still holds is not final yet: a failed attempt is marked 'failed' before
+ * the queue decides whether to retry it.
+ */
+async function archiveFinishedJobs(config, logger) {
+  const processingDir = path.resolve(config.dir, PROCESSING_DIR) + path.sep;
+  const staleBefore = new Date(Date.now() - queueService.getConfigFromEnv().lockTimeoutMs);
+  const jobs = await IngestionJob.find({
+    source: 'dropFolder',
+    status: { $in: FINISHED_STATUSES },
+    filePath: { $regex: `^${processingDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` },
+    // Released by the worker, or left behind by one that stopped
+    $or: [{ lockedBy: { $exists: false } }, { lockedAt: { $lt: staleBefore } }]
+  });
+
+  for (const job of jobs) {
+    const succeeded = job.status === 'completed' || job.status === 'partial';
+    const targetDir = path.resolve(config.dir, succeeded ? PROCESSED_DIR : FAILED_DIR);
+    try {
+      job.filePath = await moveFile(job.filePath, targetDir, job.fileName);
+      await job.save();
+    } catch (err) {
+      logger.error(`Could not archive drop-folder file ${job.filePath}:`, err);
+    }
+  }
+  return jobs.length;
+}
+
+/**
+ * Pick up new files in the drop folder and queue an ingestion job for each. Files are
+ * claimed by moving them to processing/, so concurrent scans never ingest a file twice.
+ * Returns the jobs created.
+ */
+async function scanDropFolder(config = getConfigFromEnv(), logger) {
+  if (!isEnabled(config) || scanning) {
+    return [];
+  }
+  scanning = true;
+
+  try {
+    if (!IngestionJob.schema.path('duplicateMode').enumValues.includes(config.duplicateMode)) {
+      logger.error(`Invalid DROP_FOLDER_DUPLICATE_MODE: ${config.duplicateMode}`);
+      return [];
+    }
+
+    const user = await User.findOne({
+      $or: [{ username: config.user }, { email: config.user.toLowerCase() }]
+    });
+    if (!user) {
+      logger.error(`Drop folder user ${config.user} not found`);
+      return [];
+    }
+
+    let mappingProfile = null;
+    if (config.mappingProfileId) {
+      mappingProfile = await MappingProfile.findOne({ _id: config.mappingProfileId, userId: user._id }).lean();
+      if (!mappingProfile) {
+        logger.error(`Drop folder mapping profile ${config.mappingProfileId} not found`);
+        return [];
+      }
+    }
+
+    const dir = path.resolve(config.dir);
+    for (const subfolder of [PROCESSING_DIR, PROCESSED_DIR, FAILED_DIR]) {
+      await fs.promises.mkdir(path.join(dir, subfolder), { recursive: true });
+    }
+
+    const archived = await archiveFinishedJobs(config, logger);
+    if (archived > 0) {
+      logger.info(`Archived ${archived} ingested drop-folder files`);
+    }
+
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const jobs = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+      const filePath = path.join(dir, entry.name);
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (err) {
+        continue; // removed since the directory was listed
+      }
+      if (Date.now() - stats.mtimeMs < config.settleMs) continue;
+
+      if (!isSupportedFile(entry.name)) {
+        logger.warn(`Unsupported file in drop folder moved to ${FAILED_DIR}/: ${entry.name}`);
+        await moveFile(filePath, path.join(dir, FAILED_DIR), entry.name).catch(() => {});
+        continue;
+      }
+
+      let claimedPath;
+      try {
+        claimedPath = await moveFile(filePath, path.join(dir, PROCESSING_DIR), entry.name);
+      } catch (err) {
+        if (err.code === 'ENOENT') continue; // claimed by another scan
+        throw err;
+      }
+
+      // The pending job is picked up by an ingestion worker (see queueService)
+      const job = await IngestionJob.create({
+        fileName: entry.name,
+        filePath: claimedPath,
+        fileSize: stats.size,
+        status: 'pending',
+        source: 'dropFolder',
+        mappingProfileId: mappingProfile ? mappingProfile._id : undefined,
+        duplicateMode: config.duplicateMode,
+        userId: user._id,
+        createdBy: user._id
+      });
+      jobs.push(job);
+    }
+
+    if (jobs.length > 0) {
+      logger.info(`Queued ${jobs.length} files from drop folder ${dir}`);
+    }
+    return jobs;
+  } finally {
+    scanning = false;
+  }
+}
+
+module.exports = {
+  getConfigFromEnv,
+  isEnabled,
+  scanDropFolder
+};
@@ -0,0 +1,223 @@
+const { parse } = require('csv-parse/sync');
+const ExchangeRate = require('../models/ExchangeRate');
+const BillingLineItem = require('../models/BillingLineItem');
+const User = require('../models/User');
+const { DEFAULT_CURRENCY } = require('./adapters/adapterUtils');
+const { getDefaultCurrency } = require('../utils/reportingSettings');
+const { COST_METRICS } = require('../utils/costMetric');
+
+// Days ('2024-03-01') and months ('2024-03', for monthly rates) in rate CSV files
+const DATE_PATTERN = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/;
+
+/**
+ * Currency that exchange rates are quoted against (EXCHANGE_RATE_BASE_CURRENCY, default USD)
+ */
+function getBaseCurrency() {
+  const currency = (process.env.EXCHANGE_RATE_BASE_CURRENCY || '').toUpperCase();
+  return /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_CURRENCY;
+}
+
+/**
+ * UTC day a rate applies from: the given day, or the first day of the month for monthly
+ * rates. Returns null for anything but 'YYYY-MM-DD' or 'YYYY-MM'.
+ */
+function toRateDate(value, period) {
+  const match = DATE_PATTERN.exec(String(value || '').trim());
+  if (!match || (!match[3] && period !== 'monthly')) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, period === 'monthly' ? 1 : Number(day)));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check one exchange rate. Returns the rate to store, or { error }.
+ */
+function toExchangeRate({ currency, rate, date, period = 'daily' }) {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    return { error: 'Currency must be an ISO 4217 code, e.g. EUR' };
+  }
+  if (code === getBaseCurrency()) {
+    return { error: `Rates are quoted against ${code}, which needs none` };
+  }
+  if (!['daily', 'monthly'].includes(period)) {
+    return { error: 'Period must be daily or monthly' };
+  }
+  const value = parseFloat(rate);
+  if (!(value > 0)) {
+    return { error: 'Rate must be a positive number' };
+  }
+  const rateDate = toRateDate(date, period);
+  if (!rateDate) {
+    return { error: period === 'monthly' ? 'Date must be a month or day, e.g. 2024-03' : 'Date must be a day, e.g. 2024-03-01' };
+  }
+  return { currency: code, rate: value, date: rateDate, period };
+}
+
+/**
+ * Read exchange rates from CSV with date, currency and rate columns, and an optional period
+ * column (daily or monthly). Header names are case-insensitive. Returns the rates and the
+ * errors of rejected rows.
+ */
+function parseRatesCSV(content) {
+  const records = parse(content, {
+    columns: headers => headers.map(header => header.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+
+  const rates = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const result = toExchangeRate({ ...record, period: record.period || 'daily' });
+    if (result.error) {
+      errors.push({ row: index + 2, message: result.error });
+    } else {
+      rates.push(result);
+    }
+  });
+  return { rates, errors };
+}
+
+/**
+ * Store exchange rates, replacing the rate of the same currency, date and period
+ */
+async function saveRates(rates, userId) {
+  if (rates.length === 0) return 0;
+
+  const result = await ExchangeRate.bulkWrite(rates.map(rate => ({
+    updateOne: {
+      filter: { currency: rate.currency, date: rate.date, period: rate.period },
+      update: { $set: { rate: rate.rate, createdBy: userId } },
+      upsert: true
+    }
+  })), { ordered: false });
+  return result.upsertedCount + result.modifiedCount;
+}
+
+/**
+ * Lookup stage adding, as an array field, the latest rate of a currency on or before the
+ * local day of each group's date. Daily rates win over a monthly rate of the same day.
+ */
+function rateLookup(currency, as, timeZone) {
+  return {
+    $lookup: {
+      from: ExchangeRate.collection.collectionName,
+      let: {
+        currency,
+        day: {
+          $dateFromString: { dateString: { $dateToString: { date: '$_id.date', format: '%Y-%m-%d', timezone: timeZone } } }
+        }
+      },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$currency', '$$currency'] }, { $lte: ['$date', '$$day'] }] } } },
+        { $sort: { date: -1, period: 1 } },
+        { $limit: 1 },
+        { $project: { _id: 0, rate: 1 } }
+      ],
+      as
+    }
+  };
+}
+
+/**
+ * Aggregation stages converting groups of line items of one currency into a reporting
+ * currency. They follow a $group whose _id has the bucket date and the currency, and set
+ * exchangeRate to multiply its costs with. Without a rate for either currency the costs
+ * stay unconverted.
+ */
+function conversionStages(reportingCurrency, timeZone) {
+  const baseCurrency = getBaseCurrency();
+  const rateOf = (currency, field) => ({
+    $cond: [{ $eq: [currency, baseCurrency] }, 1, { $arrayElemAt: [`$${field}.rate`, 0] }]
+  });
+
+  return [
+    rateLookup('$_id.currency', 'sourceRate', timeZone),
+    ...(reportingCurrency === baseCurrency ? [] : [rateLookup({ $literal: reportingCurrency }, 'reportingRate', timeZone)]),
+    {
+      $set: {
+        exchangeRate: {
+          $cond: [
+            { $eq: ['$_id.currency', reportingCurrency] },
+            1,
+            { $ifNull: [{ $divide: [rateOf(reportingCurrency, 'reportingRate'), rateOf('$_id.currency', 'sourceRate')] }, 1] }
+          ]
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Aggregation stages converting the cost measures of each line item into a reporting currency
+ * at the rate of its usage day, for reports computed from line items when there are no aggregates
+ */
+function lineItemConversionStages(reportingCurrency, timeZone) {
+  const costFields = Object.values(COST_METRICS).map(({ lineItemField }) => lineItemField);
+
+  return [
+    {
+      $set: {
+        lineItemId: '$_id',
+        _id: {
+          date: { $ifNull: ['$usageStartDate', '$ingestionDate'] },
+          currency: { $cond: [{ $gt: [{ $ifNull: ['$currencyCode', ''] }, ''] }, '$currencyCode', DEFAULT_CURRENCY] }
+        }
+      }
+    },
+    ...conversionStages(reportingCurrency, timeZone),
+    {
+      $set: {
+        _id: '$lineItemId',
+        ...Object.fromEntries(costFields.map(field => [field, { $multiply: [`$${field}`, '$exchangeRate'] }]))
+      }
+    },
+    { $unset: ['lineItemId', 'sourceRate', 'reportingRate', 'exchangeRate'] }
+  ];
+}
+
+/**
+ * Currencies, of those given, that have no exchange rate at all (the base currency never needs one)
+ */
+async function findCurrenciesWithoutRates(currencies) {
+  const baseCurrency = getBaseCurrency();
+  const candidates = [...new Set(currencies)].filter(currency => currency !== baseCurrency);
+  const rated = await ExchangeRate.distinct('currency', { currency: { $in: candidates } });
+  return candidates.filter(currency => !rated.includes(currency));
+}
+
+/**
+ * Users whose aggregates depend on rates of these currencies from a date on: those with line
+ * items billed in them since then, and those reporting in them
+ */
+async function findUsersUsingCurrencies(currencies, since) {
+  const reportingConditions = [{ 'reporting.currency': { $in: currencies } }];
+  if (currencies.includes(getDefaultCurrency())) {
+    reportingConditions.push({ 'reporting.currency': null });
+  }
+
+  const [billedUserIds, reportingUserIds] = await Promise.all([
+    BillingLineItem.distinct('userId', { currencyCode: { $in: currencies }, usageStartDate: { $gte: since } }),
+    User.distinct('_id', { $or: reportingConditions })
+  ]);
+
+  const userIds = new Map();
+  [...billedUserIds, ...reportingUserIds].forEach(userId => {
+    if (userId) userIds.set(String(userId), userId);
+  });
+  return Array.from(userIds.values());
+}
+
+module.exports = {
+  getBaseCurrency,
+  toExchangeRate,
+  parseRatesCSV,
+  saveRates,
+  conversionStages,
+  lineItemConversionStages,
+  findCurrenciesWithoutRates,
+  findUsersUsingCurrencies
+};
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const path = require('path');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+const { parse } = require('csv-parse');
+const unzipper = require('unzipper');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Magic bytes used to sniff the container format of an uploaded file
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const PARQUET_MAGIC = Buffer.from('PAR1');
+// JSON Lines files (e.g. GCP BigQuery exports) start with an object
+const JSON_OBJECT_START = 0x7b;
+// Byte order mark some exports (e.g. Azure cost exports) start with
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+
+const CSV_PARSE_OPTIONS = {
+  bom: true,
+  skip_empty_lines: true,
+  relax_column_count: true,
+  trim: true
+};
+
+/**
+ * Whether text data starts with a JSON object, after any byte order mark
+ */
+function startsWithJSONObject(head) {
+  const start = head.subarray(0, UTF8_BOM.length).equals(UTF8_BOM) ? UTF8_BOM.length : 0;
+  return head[start] === JSON_OBJECT_START;
+}
+
+/**
+ * Detect whether a file is plain CSV, JSON Lines, gzip, zip or Parquet from its first bytes
+ */
+async function detectFileType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(UTF8_BOM.length + 1);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const head = buffer.subarray(0, bytesRead);
+
+    if (head.subarray(0, 2).equals(GZIP_MAGIC)) return 'gzip';
+    if (head.subarray(0, 4).equals(ZIP_MAGIC)) return 'zip';
+    if (head.subarray(0, 4).equals(PARQUET_MAGIC)) return 'parquet';
+    if (startsWithJSONObject(head)) return 'jsonl';
+    return 'csv';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Detect whether a gzip file holds JSON Lines or CSV from its first decompressed bytes.
+ * Uploads are stored under their last extension only, so 'export.jsonl.gz' cannot be told
+ * apart by name. Unreadable data is left to the parser to report.
+ */
+async function detectGzipContentType(filePath) {
+  const source = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+  source.on('error', err => gunzip.destroy(err));
+  source.pipe(gunzip);
+
+  try {
+    let head = Buffer.alloc(0);
+    for await (const chunk of gunzip) {
+      head = Buffer.concat([head, chunk]);
+      if (head.length > UTF8_BOM.length) {
+        return startsWithJSONObject(head) ? 'jsonl' : 'csv';
+      }
+    }
+    if (head.length > 0) {
+      return startsWithJSONObject(head) ? 'jsonl' : 'csv';
+    }
+  } catch (err) {
+    logger.warn(`Could not read the start of gzip file ${filePath}: ${err.message}`);
+  } finally {
+    source.destroy();
+  }
+  return 'csv';
+}
+
+/**
+ * Parse a CSV byte stream, yielding each row together with its header row
+ */
+async function* readCSVStream(streams) {
+  let headers = [];
+  const parser = parse({
+    ...CSV_PARSE_OPTIONS,
+    columns: (headerList) => {
+      headers = headerList;
+      return headerList;
+    }
+  });
+
+  // pipeline() destroys the parser on upstream errors, which surfaces them in the loop below
+  pipeline(...streams, parser, () => {});
+
+  for await (const row of parser) {
+    yield { row, headers };
+  }
+}
+
+/**
+ * Flatten nested objects into dotted keys ("service.description"); arrays are kept as JSON
+ */
+function flattenRecord(record, prefix = '', row = {}) {
+  Object.keys(record).forEach(key => {
+    const value = record[key];
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (value === null || value === undefined) {
+      row[column] = '';
+    } else if (Array.isArray(value)) {
+      row[column] = JSON.stringify(value);
+    } else if (typeof value === 'object') {
+      flattenRecord(value, column, row);
+    } else {
+      row[column] = String(value);
+    }
+  });
+  return row;
+}
+
+/**
+ * Parse a JSON Lines byte stream. The first record's columns serve as the header row.
+ */
+async function* readJSONLinesStream(streams) {
+  const input = streams.length > 1 ? pipeline(...streams, () => {}) : streams[0];
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let headers = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    // JSON.parse rejects a byte order mark on the first line
+    const row = flattenRecord(JSON.parse(headers ? line : line.replace(/^\uFEFF/, '')));
+    if (!headers) headers = Object.keys(row);
+    yield { row, headers };
+  }
+}
+
+/**
+ * Read every CSV or JSON Lines (optionally gzipped) entry of a zip archive in order
+ */
+async function* readZipStream(source) {
+  const zip = source.pipe(unzipper.Parse({ forceStream: true }));
+
+  for await (const entry of zip) {
+    const entryName = entry.path.toLowerCase();
+
+    if (entry.type !== 'File' || path.basename(entryName).startsWith('.')) {
+      entry.autodrain();
+    } else if (entryName.endsWith('.csv')) {
+      logger.info(`Reading zip entry ${entry.path}`);
+      yield* readCSVStream([entry]);
+    } else if (entryName.endsWith('.csv.gz')) {
+      logger.info(`Reading zip entry ${entry.path}`);
+      yield* readCSVStream([entry, zlib.createGunzip()]);
+    } else if (entryName.endsWith('.jsonl') || entryName.endsWith('.json')) {
+      logger.info(`Reading zip entry ${entry.path}`);
+      yield* readJSONLinesStream([entry]);
+    } else if (entryName.endsWith('.jsonl.gz') || entryName.endsWith('.json.gz')) {
+      logger.info(`Reading zip entry ${entry.path}`);
+      yield* readJSONLinesStream([entry, zlib.createGunzip()]);
+    } else {
+      logger.warn(`Skipping unsupported zip entry ${entry.path}`);
+      entry.autodrain();
+    }
+  }
+}
+
+/**
+ * Convert a Parquet cell into the string form the CSV normalizer expects
+ */
+function toRowValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Uint8Array) return Buffer.from(value).toString('utf8');
+  // MAP columns (e.g. CUR 2.0 resource_tags) are kept as JSON, like in CSV exports
+  if (typeof value === 'object') {
+    return JSON.stringify(value, (key, nested) => (typeof nested === 'bigint' ? nested.toString() : nested));
+  }
+  return String(value);
+}
+
+/**
+ * Read a Parquet file one row group at a time
+ */
+async function* readParquetFile(filePath) {
+  // hyparquet is published as an ES module only
+  const { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } = await import('hyparquet');
+  const file = await asyncBufferFromFile(filePath);
+  const metadata = await parquetMetadataAsync(file);
+
+  // Top-level columns only; nested MAP/LIST children are folded into their parent
+  const headers = [];
+  const childCount = metadata.schema[0].num_children;
+  for (let i = 1; headers.length < childCount; ) {
+    headers.push(metadata.schema[i].name);
+    i += countSchemaElements(metadata.schema, i);
+  }
+
+  let rowStart = 0;
+  for (const rowGroup of metadata.row_groups) {
+    const rowEnd = rowStart + Number(rowGroup.num_rows);
+    const records = await parquetReadObjects({ file, metadata, rowStart, rowEnd });
+
+    for (const record of records) {
+      const row = {};
+      headers.forEach(header => {
+        row[header] = toRowValue(record[header]);
+      });
+      yield { row, headers };
+    }
+    rowStart = rowEnd;
+  }
+}
+
+/**
+ * Count a schema element and all of its descendants
+ */
+function countSchemaElements(schema, index) {
+  let count = 1;
+  for (let child = 0; child < (schema[index].num_children || 0); child++) {
+    count += countSchemaElements(schema, index + count);
+  }
+  return count;
+}
+
+/**
+ * Open a billing export as an object stream of { row, headers } records.
+ * Plain CSV, JSON Lines, gzip (of either) and zip files are decompressed on the fly; Parquet is
+ * read in place.
+ * getBytesRead() reports how much of the file has been read so far (null for Parquet).
+ */
+async function openRecordStream(filePath) {
+  const fileType = await detectFileType(filePath);
+  const source = fileType === 'parquet' ? null : fs.createReadStream(filePath);
+  let records;
+
+  switch (fileType) {
+    case 'gzip':
+      records = await detectGzipContentType(filePath) === 'jsonl'
+        ? readJSONLinesStream([source, zlib.createGunzip()])
+        : readCSVStream([source, zlib.createGunzip()]);
+      break;
+    case 'zip':
+      records = readZipStream(source);
+      break;
+    case 'parquet':
+      records = readParquetFile(filePath);
+      break;
+    case 'jsonl':
+      records = readJSONLinesStream([source]);
+      break;
+    default:
+      records = readCSVStream([source]);
+  }
+
+  return {
+    fileType,
+    stream: Readable.from(records),
+    getBytesRead: () => (source ? source.bytesRead : null)
+  };
+}
+
+module.exports = {
+  detectFileType,
+  openRecordStream
+};
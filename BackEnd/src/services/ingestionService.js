@@ -1,9 +1,21 @@
+const crypto = require('crypto');
 const fs = require('fs');
-const { parse } = require('csv-parse');
-const { Readable } = require('stream');
 const BillingLineItem = require('../models/BillingLineItem');
+const BillingLineItemVersion = require('../models/BillingLineItemVersion');
 const IngestionJob = require('../models/IngestionJob');
 const Aggregate = require('../models/Aggregate');
+const MappingProfile = require('../models/MappingProfile');
+const RejectedRow = require('../models/RejectedRow');
+const { openRecordStream } = require('./fileReaderService');
+const { getAggregateTagKeys } = require('../utils/aggregateGrain');
+const { conversionStages, findCurrenciesWithoutRates } = require('./exchangeRateService');
+const { DEFAULT_CURRENCY } = require('./adapters/adapterUtils');
+const { COST_METRICS, lineItemCostExpression, aggregateCostExpression } = require('../utils/costMetric');
+const { getReportingSettings } = require('../utils/reportingSettings');
+const { zonedParts, zonedTime, startOfDay, addDays, addMonths } = require('../utils/timezone');
+const { detectFormat, getAdapter, classifyColumns } = require('./adapters');
+const { removeOrphanedAnomalies } = require('./anomalyDetectionService');
+const { removeOrphanedRecommendations } = require('./recommendationService');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -12,464 +24,1504 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// AWS Billing CSV column mapping
-const CSV_COLUMNS = {
-  'InvoiceID': 'invoiceId',
-  'PayerAccountId': 'payerAccountId',
-  'LinkedAccountId': 'linkedAccountId',
-  'RecordType': 'recordType',
-  'ProductName': 'productName',
-  'ProductCode': 'productCode',
-  'UsageType': 'usageType',
-  'Operation': 'operation',
-  'AvailabilityZone': 'availabilityZone',
-  'ReservedInstance': 'reservedInstance',
-  'ItemDescription': 'itemDescription',
-  'UsageStartDate': 'usageStartDate',
-  'UsageEndDate': 'usageEndDate',
-  'UsageQuantity': 'usageQuantity',
-  'BlendedRate': 'blendedRate',
-  'BlendedCost': 'blendedCost',
-  'UnblendedRate': 'unblendedRate',
-  'UnblendedCost': 'unblendedCost',
-  'ResourceId': 'resourceId'
+// How often a running job saves its progress
+const PROGRESS_INTERVAL_MS = 2000;
+
+// Aggregate buckets upserted per bulk write
+const AGGREGATE_WRITE_BATCH_SIZE = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hourly buckets are only kept for this many days (HOURLY_AGGREGATE_RETENTION_DAYS)
+const DEFAULT_HOURLY_RETENTION_DAYS = 14;
+
+// Latest date JavaScript can represent; ends open date ranges
+const MAX_DATE = new Date(8.64e15);
+
+// Bucket length of each aggregation type, and the periods each bucket is compared with: the
+// previous one, and the same one a cycle earlier (same hour yesterday for hourly buckets,
+// same weekday last week for daily ones, same week, month or quarter last year for the
+// rollups; a fiscal year's cycle is the previous fiscal year)
+const AGGREGATION_PERIODS = {
+  hourly: { unit: 'hour', previous: 1, seasonal: 24 },
+  daily: { unit: 'day', previous: 1, seasonal: 7 },
+  weekly: { unit: 'week', previous: 1, seasonal: 52 },
+  monthly: { unit: 'month', previous: 1, seasonal: 12 },
+  quarterly: { unit: 'quarter', previous: 1, seasonal: 4 },
+  fiscalYear: { unit: 'year', previous: 1, seasonal: 1 }
 };
 
-// Tag columns start with 'user:' prefix
-const TAG_PREFIX = 'user:';
+// Rollups of the daily buckets. Quarters and fiscal years start in the user's fiscal year
+// start month, so with a February start Q1 runs from February to April.
+const ROLLUP_TYPES = ['weekly', 'monthly', 'quarterly', 'fiscalYear'];
+const MONTHS_PER_UNIT = { month: 1, quarter: 3, year: 12 };
+
+// Fields identifying the same bucket across periods, in every grain
+const VARIANCE_PARTITION_FIELDS = [
+  'provider', 'accountId', 'service', 'region', 'chargeCategory', 'tagKey', 'tagValue', 'usageType', 'operation'
+];
+
+// Columns the rejected-rows report adds to each raw row; ignored when the fixed rows are re-submitted
+const REJECT_REPORT_COLUMNS = ['_rejectedRow', '_rejectReason'];
+
+// Line item fields that identify the same charge across re-uploads of a bill
+const FINGERPRINT_FIELDS = [
+  'provider',
+  'accountId',
+  'invoiceId',
+  'recordType',
+  'service',
+  'resourceId',
+  'usageType',
+  'operation',
+  'usageStartDate',
+  'usageEndDate'
+];
+
+// Without a provider line item ID (CUR identity/LineItemId), rows of the same usage window
+// are told apart by these, e.g. the tiers of tiered pricing
+const FINGERPRINT_DETAIL_FIELDS = [
+  'itemDescription',
+  'unblendedRate',
+  'blendedRate',
+  'reservationArn',
+  'savingsPlanArn'
+];
 
 /**
- * Normalize a billing line item
+ * Compute the deterministic identity hash of a normalized line item. The provider's line
+ * item ID identifies it when the file has one; otherwise its rate, description and
+ * reservation, and the ordinal of the row among identical ones in the file (from 0).
  */
-function normalizeLineItem(row, jobId) {
-  const normalized = {
-    ingestionJobId: jobId,
-    ingestionDate: new Date()
+function computeFingerprint(item, ordinal = 0) {
+  const fields = item.lineItemId
+    ? [...FINGERPRINT_FIELDS, 'lineItemId']
+    : [...FINGERPRINT_FIELDS, ...FINGERPRINT_DETAIL_FIELDS];
+  const parts = fields.map(field => {
+    const value = item[field];
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? '' : value.toISOString();
+    }
+    return value === undefined || value === null ? '' : String(value);
+  });
+  if (ordinal > 0) parts.push(`#${ordinal}`);
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Billing month ('YYYY-MM') of a line item: its billing period start, or the month of usage
+ */
+function toBillingPeriod(item) {
+  const date = item.billingPeriodStartDate || item.usageStartDate;
+  if (!date || isNaN(date.getTime())) return undefined;
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * UTC start and end of a 'YYYY-MM' month
+ */
+function monthRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    end: new Date(Date.UTC(year, monthNumber, 1))
   };
+}
 
-  // Map CSV columns
-  Object.keys(CSV_COLUMNS).forEach(csvCol => {
-    const modelField = CSV_COLUMNS[csvCol];
-    if (row[csvCol] !== undefined && row[csvCol] !== '') {
-      normalized[modelField] = row[csvCol];
-    }
+/**
+ * UTC 'YYYY-MM-DD' day of a date
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * UTC start and end of each 'YYYY-MM-DD' day
+ */
+function dayRanges(days) {
+  return days.map(day => {
+    const start = new Date(`${day}T00:00:00.000Z`);
+    return { start, end: new Date(start.getTime() + DAY_MS) };
   });
+}
+
+/**
+ * Sort [start, end) date ranges and merge overlapping or adjacent ones, so a month of
+ * touched days becomes a single range
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  ranges
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last.end) {
+        if (end > last.end) last.end = end;
+      } else {
+        merged.push({ start, end });
+      }
+    });
+  return merged;
+}
+
+/**
+ * Widen a date range to whole days in a timezone
+ */
+function wholeDays({ start, end }, timeZone) {
+  return {
+    start: startOfDay(start, timeZone),
+    end: addDays(startOfDay(new Date(end.getTime() - 1), timeZone), 1, timeZone)
+  };
+}
+
+/**
+ * Start of the hourly retention window: midnight HOURLY_AGGREGATE_RETENTION_DAYS days ago
+ */
+function hourlyRetentionStart(timeZone) {
+  const days = parseInt(process.env.HOURLY_AGGREGATE_RETENTION_DAYS) || DEFAULT_HOURLY_RETENTION_DAYS;
+  return addDays(startOfDay(new Date(), timeZone), -days, timeZone);
+}
+
+/**
+ * Clip date ranges (all dates if ranges is unset) to the hourly retention window
+ */
+function hourlyRanges(ranges, timeZone) {
+  const start = hourlyRetentionStart(timeZone);
+  return (ranges || [{ start, end: MAX_DATE }])
+    .filter(range => range.end > start)
+    .map(range => ({ start: range.start > start ? range.start : start, end: range.end }));
+}
+
+/**
+ * Query condition restricting a date field to a set of ranges (none if ranges is unset)
+ */
+function rangeFilter(field, ranges) {
+  if (!ranges) return {};
+  return {
+    $or: ranges.map(({ start, end }) => ({ [field]: { $gte: start, $lt: end } }))
+  };
+}
 
-  // Parse dates
-  if (normalized.usageStartDate) {
-    normalized.usageStartDate = new Date(normalized.usageStartDate);
+/**
+ * Normalize a billing line item using the source adapter for its format.
+ * Custom files are normalized with the user's mapping profile. fingerprintCounts, kept
+ * per file, counts rows without a line item ID that share a fingerprint, so repeats of
+ * an identical row are kept apart (see computeFingerprint).
+ */
+function normalizeLineItem(row, jobId, format = 'dbr', mappingProfile = null, fingerprintCounts = null) {
+  const adapter = getAdapter(format);
+
+  const normalized = {
+    ingestionJobId: jobId,
+    ingestionDate: new Date(),
+    provider: adapter.provider,
+    ...adapter.normalize(row, format, mappingProfile)
+  };
+  normalized.billingPeriod = toBillingPeriod(normalized);
+  normalized.fingerprint = computeFingerprint(normalized);
+  if (fingerprintCounts && !normalized.lineItemId) {
+    const ordinal = fingerprintCounts.get(normalized.fingerprint) || 0;
+    fingerprintCounts.set(normalized.fingerprint, ordinal + 1);
+    if (ordinal > 0) normalized.fingerprint = computeFingerprint(normalized, ordinal);
   }
-  if (normalized.usageEndDate) {
-    normalized.usageEndDate = new Date(normalized.usageEndDate);
+  return normalized;
+}
+
+/**
+ * The account and billing period a restated bill replaces. AWS bills per payer
+ * account; sources without one are scoped to the usage account.
+ */
+function getBillingScope(item) {
+  const account = item.payerAccountId
+    ? { payerAccountId: item.payerAccountId }
+    : { accountId: item.accountId };
+  return { provider: item.provider, ...account, billingPeriod: item.billingPeriod };
+}
+
+/**
+ * Query for the line items of an account/billing period
+ */
+function billingScopeFilter(userId, { billingPeriod, ...account }) {
+  const { start, end } = monthRange(billingPeriod);
+  return {
+    userId,
+    ...account,
+    $or: [
+      { billingPeriod },
+      // Rows ingested before billing periods were recorded
+      { billingPeriod: { $exists: false }, usageStartDate: { $gte: start, $lt: end } }
+    ]
+  };
+}
+
+/**
+ * Archive line items a job is about to overwrite or remove, so deleting the job restores them
+ */
+async function archiveLineItems(items, jobId, duplicateMode) {
+  if (items.length === 0) return;
+  await BillingLineItemVersion.insertMany(items.map(item => ({
+    billingLineItemId: item._id,
+    userId: item.userId,
+    fingerprint: item.fingerprint,
+    version: item.version || 1,
+    snapshot: item,
+    supersededByJobId: jobId,
+    duplicateMode
+  })));
+}
+
+/**
+ * Remove line items of the given account/billing periods that were not written by this job,
+ * so a restated bill supersedes the previous upload of the same period
+ */
+async function supersedeBillingPeriods(userId, jobId, scopes) {
+  let removed = 0;
+
+  for (const scope of scopes) {
+    const cursor = BillingLineItem.find({ ...billingScopeFilter(userId, scope), ingestionJobId: { $ne: jobId } })
+      .lean()
+      .cursor({ batchSize: AGGREGATE_WRITE_BATCH_SIZE });
+    let items = [];
+    const removeItems = async () => {
+      if (items.length === 0) return;
+      await archiveLineItems(items, jobId, 'period');
+      const result = await BillingLineItem.deleteMany({ _id: { $in: items.map(item => item._id) } });
+      removed += result.deletedCount;
+      items = [];
+    };
+
+    for await (const item of cursor) {
+      items.push(item);
+      if (items.length >= AGGREGATE_WRITE_BATCH_SIZE) {
+        await removeItems();
+      }
+    }
+    await removeItems();
   }
 
-  // Parse numeric fields
-  if (normalized.usageQuantity) {
-    normalized.usageQuantity = parseFloat(normalized.usageQuantity);
+  return removed;
+}
+
+/**
+ * Whether an insert failed only because of the unique fingerprint index
+ */
+function isDuplicateKeyError(err) {
+  if (err.writeErrors && err.writeErrors.length > 0) {
+    return err.writeErrors.every(writeError => (writeError.err || writeError).code === 11000);
   }
-  if (normalized.blendedCost) {
-    normalized.blendedCost = parseFloat(normalized.blendedCost);
+  return err.code === 11000;
+}
+
+/**
+ * Write a batch of line items, handling rows whose fingerprint was already ingested:
+ * 'skip' leaves the existing row, 'replace' (and 'period') overwrites it, and 'version'
+ * overwrites it and bumps its version. Overwritten rows are archived as BillingLineItemVersions.
+ */
+async function writeBatch(batch, duplicateMode = 'skip', jobId = null) {
+  if (duplicateMode === 'skip') {
+    try {
+      await BillingLineItem.insertMany(batch, { ordered: false, throwOnValidationError: true });
+      return { inserted: batch.length, duplicates: 0, replaced: 0 };
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err;
+      const inserted = err.insertedDocs ? err.insertedDocs.length : 0;
+      return { inserted, duplicates: batch.length - inserted, replaced: 0 };
+    }
   }
-  if (normalized.unblendedCost) {
-    normalized.unblendedCost = parseFloat(normalized.unblendedCost);
+
+  // A fingerprint repeated within the batch keeps its last row
+  const items = Array.from(new Map(batch.map(item => [item.fingerprint, item])).values());
+  const userId = items[0].userId;
+  const existing = await BillingLineItem.find({
+    userId,
+    fingerprint: { $in: items.map(item => item.fingerprint) }
+  }).lean();
+  const existingByFingerprint = new Map(existing.map(item => [item.fingerprint, item]));
+
+  await archiveLineItems(existing, jobId, duplicateMode);
+
+  const result = await BillingLineItem.bulkWrite(items.map(item => {
+    const previous = existingByFingerprint.get(item.fingerprint);
+    const version = duplicateMode === 'version' && previous ? (previous.version || 1) + 1 : 1;
+    return {
+      replaceOne: {
+        filter: { userId, fingerprint: item.fingerprint },
+        replacement: { ...item, version },
+        upsert: true
+      }
+    };
+  }), { ordered: false, throwOnValidationError: true });
+
+  return {
+    inserted: result.upsertedCount,
+    duplicates: batch.length - items.length,
+    replaced: result.matchedCount
+  };
+}
+
+/**
+ * Look up a pending cancellation request for a job, or null if there is none
+ */
+async function getCancellation(jobId) {
+  try {
+    return await IngestionJob.findOne({ _id: jobId, cancelRequestedAt: { $exists: true } })
+      .select('rollbackOnCancel')
+      .lean();
+  } catch (err) {
+    // Keep ingesting; the request is picked up at the next batch boundary
+    logger.error(`Error checking cancellation of job ${jobId}:`, err);
+    return null;
   }
+}
 
-  // Normalized fields
-  normalized.accountId = normalized.linkedAccountId || normalized.payerAccountId || 'unknown';
-  normalized.service = normalized.productName || normalized.productCode || 'unknown';
-  normalized.region = extractRegion(normalized.availabilityZone || normalized.usageType || '');
-  normalized.cost = normalized.unblendedCost || normalized.blendedCost || 0;
-  normalized.usageQuantityNormalized = normalized.usageQuantity || 0;
-  normalized.usageTypeNormalized = normalized.usageType || '';
+/**
+ * Progress snapshot of a running job. The ETA extrapolates the read rate so far
+ * over the rest of the file.
+ */
+function measureProgress(phase, startedAt, rowsRead, bytesRead, bytesTotal) {
+  const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+  const bytesPerSecond = bytesRead / elapsedSeconds;
 
-  // Extract tags
-  normalized.tags = new Map();
-  Object.keys(row).forEach(key => {
-    if (key.startsWith(TAG_PREFIX) && row[key]) {
-      const tagKey = key.substring(TAG_PREFIX.length);
-      normalized.tags.set(tagKey, row[key]);
-    }
-  });
+  return {
+    phase,
+    rowsRead,
+    bytesRead,
+    bytesTotal,
+    rowsPerSecond: Math.round(rowsRead / elapsedSeconds),
+    etaSeconds: bytesRead > 0 && bytesTotal
+      ? Math.round(Math.max(bytesTotal - bytesRead, 0) / bytesPerSecond)
+      : null,
+    updatedAt: new Date()
+  };
+}
 
-  return normalized;
+/**
+ * Store rejected rows in the job's quarantine. Failures are logged rather than
+ * failing the job; the row errors are still recorded on the job itself.
+ */
+async function saveRejectedRows(rows) {
+  if (rows.length === 0) return;
+  try {
+    await RejectedRow.insertMany(rows, { ordered: false });
+  } catch (err) {
+    logger.error(`Error saving ${rows.length} rejected rows:`, err);
+  }
 }
 
 /**
- * Extract region from availability zone or usage type
+ * Mark an error that retrying the job cannot fix, so the queue fails the job at once
  */
-function extractRegion(value) {
-  if (!value) return 'unknown';
-  
-  // AWS regions pattern
-  const regionMatch = value.match(/(us|eu|ap|sa|ca|cn|af)-(north|south|east|west|central)-\d/);
-  if (regionMatch) {
-    return regionMatch[0];
+function permanentError(err) {
+  err.permanent = true;
+  return err;
+}
+
+/**
+ * Check a normalized line item, returning the reason it would be rejected (or null).
+ * Rows the schema rejects must be caught here: unordered writes drop them silently.
+ */
+function validateLineItem(normalized) {
+  if (!normalized.accountId || !normalized.service || normalized.cost === undefined) {
+    return 'Missing required fields';
   }
-  
-  // Try to extract from availability zone (e.g., us-east-1a -> us-east-1)
-  const azMatch = value.match(/([a-z]{2}-[a-z]+-\d+)[a-z]/);
-  if (azMatch) {
-    return azMatch[1];
+  if (!Number.isFinite(normalized.cost)) {
+    return 'Invalid cost: not a number';
   }
-  
-  return 'unknown';
+  if (normalized.usageStartDate && isNaN(normalized.usageStartDate.getTime())) {
+    return 'Invalid usage start date';
+  }
+  const schemaError = new BillingLineItem(normalized).validateSync();
+  if (schemaError) {
+    return `Invalid line item: ${Object.values(schemaError.errors).map(error => error.message).join('; ')}`;
+  }
+  return null;
 }
 
 /**
- * Process CSV file in chunks
+ * Process a billing export (CSV, gzip, zip or Parquet) in chunks
  */
 async function processCSVFile(filePath, jobId, options = {}) {
   const { chunkSize = 1000, onProgress, userId } = options;
   const job = await IngestionJob.findById(jobId);
   
   if (!job) {
-    throw new Error('Ingestion job not found');
+    throw permanentError(new Error('Ingestion job not found'));
   }
   
   // Get userId from job if not provided
   const userIdToUse = userId || job.userId;
   
   if (!userIdToUse) {
-    throw new Error('User ID is required for data ingestion');
+    throw permanentError(new Error('User ID is required for data ingestion'));
   }
 
   job.status = 'processing';
   job.startedAt = new Date();
+  job.progress = measureProgress('parsing', job.startedAt, 0, 0, job.fileSize);
   await job.save();
 
+  // A retried job captures its rejected rows afresh
+  await RejectedRow.deleteMany({ jobId: job._id });
+
   let headers = [];
+  let format = 'dbr';
   let rowCount = 0;
   let processedCount = 0;
   let skippedCount = 0;
+  let duplicateCount = 0;
+  let replacedCount = 0;
+  let supersededCount = 0;
   const errors = [];
   let batch = [];
+  // Source rows of the batch, quarantined with it if writing it fails
+  let batchRows = [];
+  let rejected = [];
+  // Account/billing periods in the file, and the days and months whose aggregates it touches
+  const billingScopes = new Map();
+  const touchedDays = new Set();
+  const touchedMonths = new Set();
+  // Rows per fingerprint so far, to tell identical rows apart
+  const fingerprintCounts = new Map();
+
+  let fileType;
+  let stream;
+  let getBytesRead;
+  let bytesTotal = job.fileSize;
+  let mappingProfile = options.mappingProfile || null;
+  const duplicateMode = options.duplicateMode || job.duplicateMode || 'skip';
+  try {
+    if (!mappingProfile && job.mappingProfileId) {
+      mappingProfile = await MappingProfile.findOne({ _id: job.mappingProfileId, userId: userIdToUse }).lean();
+      if (!mappingProfile) {
+        throw permanentError(new Error('Mapping profile not found'));
+      }
+    }
+    ({ fileType, stream, getBytesRead } = await openRecordStream(filePath));
+    bytesTotal = (await fs.promises.stat(filePath)).size;
+  } catch (err) {
+    // The uploaded file is gone
+    if (err.code === 'ENOENT') permanentError(err);
+    job.status = 'failed';
+    job.completedAt = new Date();
+    job.errors.push({
+      row: 0,
+      message: err.message,
+      timestamp: new Date()
+    });
+    await job.save();
+    throw err;
+  }
+  logger.info(`Reading ${fileType} file ${filePath}`);
+
+  // Skip a row, keeping it verbatim in the job's quarantine
+  const rejectRow = (row, reason, rowNumber = rowCount) => {
+    skippedCount++;
+    errors.push({
+      row: rowNumber,
+      message: reason,
+      timestamp: new Date()
+    });
+    rejected.push({
+      jobId: job._id,
+      userId: userIdToUse,
+      rowNumber,
+      reason,
+      columns: Object.keys(row),
+      values: Object.values(row)
+    });
+  };
+
+  // Write a batch, quarantining all of its rows if the write fails
+  const commitBatch = async (items, rows) => {
+    try {
+      const result = await writeBatch(items, duplicateMode, jobId);
+      processedCount += result.inserted + result.replaced;
+      duplicateCount += result.duplicates;
+      replacedCount += result.replaced;
+      return result;
+    } catch (err) {
+      logger.error(`Error inserting batch of ${items.length} rows:`, err);
+      rows.forEach(({ row, rowNumber }) => rejectRow(row, `Batch insert failed: ${err.message}`, rowNumber));
+      return null;
+    }
+  };
+
+  // Only the days the file touched are re-aggregated. A replaced billing period also loses
+  // rows of earlier uploads anywhere in its months, so those months are recomputed whole.
+  const aggregationScope = () => (duplicateMode === 'period'
+    ? { months: Array.from(touchedMonths) }
+    : { days: Array.from(touchedDays) });
 
   return new Promise((resolve, reject) => {
-    const stream = fs.createReadStream(filePath);
-    
+    let cancelled = false;
+    let lastProgressAt = 0;
+
+    // Persist progress at most every PROGRESS_INTERVAL_MS unless the phase changes
+    const saveProgress = async (phase, force = false) => {
+      if (!force && Date.now() - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = Date.now();
+
+      job.progress = measureProgress(phase, job.startedAt, rowCount, getBytesRead(), bytesTotal);
+      try {
+        await IngestionJob.updateOne(
+          { _id: jobId },
+          { $set: { progress: job.progress, rowsProcessed: processedCount } }
+        );
+      } catch (err) {
+        logger.error(`Error saving progress of job ${jobId}:`, err);
+      }
+    };
+
+    // Stop reading, record what was committed and optionally roll it back
+    const finishCancelled = async (cancellation) => {
+      cancelled = true;
+      stream.destroy();
+
+      await saveRejectedRows(rejected);
+
+      let rolledBack = 0;
+      await saveProgress('aggregating', true);
+      if (cancellation.rollbackOnCancel && processedCount > 0) {
+        ({ lineItems: rolledBack } = await deleteJobData(jobId));
+      } else if (processedCount > 0) {
+        await aggregateData(jobId, aggregationScope());
+      }
+
+      job.status = 'cancelled';
+      job.completedAt = new Date();
+      job.duration = job.completedAt - job.startedAt;
+      job.rowsProcessed = processedCount;
+      job.rowsTotal = rowCount;
+      job.rowsSkipped = skippedCount;
+      job.rowsDuplicate = duplicateCount;
+      job.rowsReplaced = replacedCount;
+      job.rowsRolledBack = rolledBack;
+      job.progress = measureProgress('finished', job.startedAt, rowCount, getBytesRead(), bytesTotal);
+      job.duplicateMode = duplicateMode;
+      job.metadata.sourceFormat = format;
+      job.metadata.fileType = fileType;
+      job.errors = errors.slice(0, 100);
+      await job.save();
+
+      logger.info(`Job ${jobId} cancelled after ${processedCount} committed rows (${rolledBack} rolled back)`);
+      return {
+        processed: processedCount,
+        skipped: skippedCount,
+        duplicates: duplicateCount,
+        replaced: replacedCount,
+        total: rowCount,
+        cancelled: true,
+        rolledBack
+      };
+    };
+
     stream
-      .pipe(parse({
-        columns: true,
-        skip_empty_lines: true,
-        relax_column_count: true,
-        trim: true
-      }))
-      .on('headers', (headerList) => {
-        headers = headerList;
-        logger.info(`CSV headers: ${headers.length} columns`);
-      })
-      .on('data', async (row) => {
+      .on('data', async ({ row, headers: rowHeaders }) => {
+        if (cancelled) return;
         rowCount++;
-        
+        REJECT_REPORT_COLUMNS.forEach(column => delete row[column]);
+
+        // Each file (or zip entry) brings its own header row; pick the column mapping from it
+        if (rowHeaders !== headers) {
+          headers = rowHeaders;
+          format = mappingProfile ? 'custom' : detectFormat(headers);
+          logger.info(`CSV headers: ${headers.length} columns, detected format: ${format}`);
+
+          if (!format) {
+            stream.destroy(new Error('Unrecognized billing export columns. Select a column mapping profile for this file.'));
+            return;
+          }
+        }
+
         try {
-          const normalized = normalizeLineItem(row, jobId);
+          const normalized = normalizeLineItem(row, jobId, format, mappingProfile, fingerprintCounts);
           
           // Associate with user
           normalized.userId = userIdToUse;
           
-          // Validate required fields
-          if (!normalized.accountId || !normalized.service || normalized.cost === undefined) {
-            skippedCount++;
-            errors.push({
-              row: rowCount,
-              message: 'Missing required fields',
-              timestamp: new Date()
-            });
-            return;
-          }
+          const validationError = validateLineItem(normalized);
+          if (validationError) {
+            rejectRow(row, validationError);
+          } else {
+            if (normalized.billingPeriod) {
+              const scope = getBillingScope(normalized);
+              billingScopes.set(JSON.stringify(scope), scope);
+              touchedMonths.add(normalized.billingPeriod);
+            }
+            if (normalized.usageStartDate) {
+              touchedMonths.add(normalized.usageStartDate.toISOString().slice(0, 7));
+            }
+            touchedDays.add(toDay(normalized.usageStartDate || normalized.ingestionDate));
 
-          batch.push(normalized);
+            batch.push(normalized);
+            batchRows.push({ row, rowNumber: rowCount });
+          }
 
           // Process in chunks
-          if (batch.length >= chunkSize) {
+          if (batch.length >= chunkSize || rejected.length >= chunkSize) {
             stream.pause();
+            const currentBatch = batch;
+            const currentRows = batchRows;
+            batch = [];
+            batchRows = [];
             try {
-              await BillingLineItem.insertMany(batch, { ordered: false });
-              processedCount += batch.length;
-              batch = [];
-              
+              if (currentBatch.length > 0) {
+                const result = await commitBatch(currentBatch, currentRows);
+                if (result && result.duplicates > 0) {
+                  logger.warn(`Skipped ${result.duplicates} already ingested records`);
+                }
+              }
+              const currentRejected = rejected;
+              rejected = [];
+              await saveRejectedRows(currentRejected);
+
               if (onProgress) {
                 onProgress({ processed: processedCount, total: rowCount });
               }
-            } catch (err) {
-              // Handle duplicate key errors (idempotent re-ingest)
-              if (err.code === 11000) {
-                skippedCount += batch.length;
-                logger.warn(`Skipped ${batch.length} duplicate records`);
+              await saveProgress('inserting', job.progress.phase !== 'inserting');
+            } finally {
+              // Batch boundary: honour a cancellation before reading further
+              const cancellation = await getCancellation(jobId);
+              if (cancellation) {
+                finishCancelled(cancellation).then(resolve, reject);
               } else {
-                throw err;
+                stream.resume();
               }
-              batch = [];
             }
-            stream.resume();
           }
         } catch (err) {
-          skippedCount++;
-          errors.push({
-            row: rowCount,
-            message: err.message,
-            timestamp: new Date()
-          });
+          rejectRow(row, err.message);
         }
       })
       .on('end', async () => {
-        // Process remaining batch
-        if (batch.length > 0) {
-          try {
-            await BillingLineItem.insertMany(batch, { ordered: false });
-            processedCount += batch.length;
-          } catch (err) {
-            if (err.code === 11000) {
-              skippedCount += batch.length;
-            } else {
-              logger.error('Error inserting final batch:', err);
+        if (cancelled) return;
+
+        // An error here must still settle the job's promise
+        try {
+          const cancellation = await getCancellation(jobId);
+          if (cancellation) {
+            finishCancelled(cancellation).then(resolve, reject);
+            return;
+          }
+
+          // Process remaining batch
+          if (batch.length > 0) {
+            await commitBatch(batch, batchRows);
+          }
+          await saveRejectedRows(rejected);
+
+          // A restated bill replaces everything previously ingested for its account/periods
+          if (duplicateMode === 'period' && processedCount > 0) {
+            try {
+              supersededCount = await supersedeBillingPeriods(userIdToUse, jobId, Array.from(billingScopes.values()));
+              logger.info(`Removed ${supersededCount} line items superseded by the restated billing period`);
+            } catch (err) {
+              logger.error('Error replacing billing period:', err);
             }
           }
-        }
 
-        // Update job status
-        job.status = processedCount > 0 ? 'completed' : 'failed';
-        job.completedAt = new Date();
-        job.duration = job.completedAt - job.startedAt;
-        job.rowsProcessed = processedCount;
-        job.rowsTotal = rowCount;
-        job.rowsSkipped = skippedCount;
-        job.errors = errors.slice(0, 100); // Limit errors stored
-        await job.save();
-
-        // Trigger aggregation
-        if (processedCount > 0) {
-          await aggregateData(jobId);
-        }
+          // Aggregate before reporting completion
+          if (processedCount > 0) {
+            await saveProgress('aggregating', true);
+            try {
+              await aggregateData(jobId, aggregationScope());
+            } catch (err) {
+              logger.error('Error aggregating ingested data:', err);
+              errors.push({
+                row: 0,
+                message: `Aggregation failed: ${err.message}`,
+                timestamp: new Date()
+              });
+            }
+          }
+
+          const scopes = Array.from(billingScopes.values());
+          const billingPeriods = Array.from(new Set(scopes.map(scope => scope.billingPeriod))).sort();
+          const billingAccounts = new Set(scopes.map(scope => scope.payerAccountId || scope.accountId));
 
-        logger.info(`Processing complete: ${processedCount} processed, ${skippedCount} skipped`);
-        resolve({ processed: processedCount, skipped: skippedCount, total: rowCount });
+          // Update job status. Re-uploading an already ingested file is not a failure.
+          job.status = processedCount > 0 || duplicateCount > 0 ? 'completed' : 'failed';
+          job.completedAt = new Date();
+          job.duration = job.completedAt - job.startedAt;
+          job.rowsProcessed = processedCount;
+          job.rowsTotal = rowCount;
+          job.rowsSkipped = skippedCount;
+          job.rowsDuplicate = duplicateCount;
+          job.rowsReplaced = replacedCount;
+          job.rowsSuperseded = supersededCount;
+          job.duplicateMode = duplicateMode;
+          job.metadata.billingPeriod = billingPeriods.join(',') || undefined;
+          if (billingAccounts.size === 1) {
+            job.metadata.accountId = Array.from(billingAccounts)[0];
+          }
+          job.metadata.sourceFormat = format;
+          job.metadata.fileType = fileType;
+          job.progress = measureProgress('finished', job.startedAt, rowCount, bytesTotal, bytesTotal);
+          job.errors = errors.slice(0, 100); // Limit errors stored
+          await job.save();
+
+          logger.info(`Processing complete: ${processedCount} processed (${replacedCount} replaced), ${duplicateCount} duplicates, ${skippedCount} skipped`);
+          resolve({
+            processed: processedCount,
+            skipped: skippedCount,
+            duplicates: duplicateCount,
+            replaced: replacedCount,
+            total: rowCount
+          });
+        } catch (err) {
+          logger.error(`Error finishing job ${jobId}:`, err);
+          reject(err);
+        }
       })
       .on('error', async (err) => {
-        job.status = 'failed';
-        job.completedAt = new Date();
-        job.errors.push({
-          row: rowCount,
-          message: err.message,
-          timestamp: new Date()
-        });
-        await job.save();
+        // The stream only fails on unreadable or malformed files, which a retry cannot fix;
+        // I/O errors of the host are retried
+        if (!err.syscall) permanentError(err);
+        try {
+          await saveRejectedRows(rejected);
+          job.status = 'failed';
+          job.completedAt = new Date();
+          job.errors.push({
+            row: rowCount,
+            message: err.message,
+            timestamp: new Date()
+          });
+          await job.save();
+        } catch (saveErr) {
+          logger.error(`Error recording failure of job ${jobId}:`, saveErr);
+        }
         reject(err);
       });
   });
 }
 
 /**
- * Aggregate data by account, service, region, and date
- * This function aggregates ALL data for the user, not just from the current job
+ * Dry run: read the header and first rows of a billing export and report how
+ * they would be ingested, without writing any line items
  */
-async function aggregateData(jobId) {
-  logger.info(`Starting data aggregation for job ${jobId}...`);
-  
+async function previewFile(filePath, options = {}) {
+  const { rowLimit = 100, sampleSize = 10, mappingProfile = null, userId } = options;
+  const { fileType, stream } = await openRecordStream(filePath);
+
+  const preview = {
+    fileType,
+    format: null,
+    provider: null,
+    headers: [],
+    mappedColumns: [],
+    unmappedColumns: [],
+    rowsRead: 0,
+    validRows: 0,
+    dateRange: null,
+    accountIds: [],
+    sampleRows: [],
+    // Rows whose fingerprint was already ingested by an earlier upload
+    duplicateRows: 0,
+    errors: []
+  };
+  const accountIds = new Set();
+  const fingerprints = [];
+  const fingerprintCounts = new Map();
+  let headers = null;
+
+  for await (const { row, headers: rowHeaders } of stream) {
+    if (preview.rowsRead >= rowLimit) break;
+
+    // Report the first header row; later zip entries are assumed to share it
+    if (!headers) {
+      headers = rowHeaders;
+      preview.headers = headers;
+      preview.format = mappingProfile ? 'custom' : detectFormat(headers);
+      if (!preview.format) {
+        preview.unmappedColumns = headers;
+        preview.errors.push({
+          row: 0,
+          message: 'Unrecognized billing export columns. Select a column mapping profile for this file.'
+        });
+        break;
+      }
+
+      const { mapped, unmapped } = classifyColumns(headers, preview.format, mappingProfile);
+      preview.mappedColumns = mapped;
+      preview.unmappedColumns = unmapped;
+    }
+
+    preview.rowsRead++;
+
+    try {
+      const normalized = normalizeLineItem(row, null, preview.format, mappingProfile, fingerprintCounts);
+      preview.provider = preview.provider || normalized.provider;
+
+      const validationError = validateLineItem(normalized);
+      if (validationError) {
+        preview.errors.push({ row: preview.rowsRead, message: validationError });
+        continue;
+      }
+
+      preview.validRows++;
+      accountIds.add(normalized.accountId);
+      fingerprints.push(normalized.fingerprint);
+
+      const usageDate = normalized.usageStartDate;
+      if (usageDate) {
+        if (!preview.dateRange) {
+          preview.dateRange = { start: usageDate, end: usageDate };
+        } else if (usageDate < preview.dateRange.start) {
+          preview.dateRange.start = usageDate;
+        } else if (usageDate > preview.dateRange.end) {
+          preview.dateRange.end = usageDate;
+        }
+      }
+
+      if (preview.sampleRows.length < sampleSize) {
+        const { ingestionJobId, ingestionDate, ...sample } = normalized;
+        preview.sampleRows.push({ ...sample, tags: Object.fromEntries(sample.tags || []) });
+      }
+    } catch (err) {
+      preview.errors.push({ row: preview.rowsRead, message: err.message });
+    }
+  }
+  stream.destroy();
+
+  if (userId && fingerprints.length > 0) {
+    preview.duplicateRows = await BillingLineItem.countDocuments({
+      userId,
+      fingerprint: { $in: fingerprints }
+    });
+  }
+
+  preview.accountIds = Array.from(accountIds);
+  return preview;
+}
+
+/**
+ * Archived rows a job superseded that can be restored once its line items are deleted. Rows
+ * a restated bill ('period' mode) superseded stay archived if another upload has restated
+ * their billing period since.
+ */
+async function restorableVersions(userId, versions) {
+  const restatedScopes = new Map();
+  const restorable = [];
+
+  for (const version of versions) {
+    const { snapshot } = version;
+    if (version.duplicateMode === 'period') {
+      const scope = getBillingScope({ ...snapshot, billingPeriod: snapshot.billingPeriod || toBillingPeriod(snapshot) });
+      const key = JSON.stringify([scope, snapshot.ingestionJobId]);
+      if (!restatedScopes.has(key)) {
+        restatedScopes.set(key, scope.billingPeriod !== undefined && Boolean(await BillingLineItem.exists({
+          ...billingScopeFilter(userId, scope),
+          ingestionJobId: { $ne: snapshot.ingestionJobId ?? null }
+        })));
+      }
+      if (restatedScopes.get(key)) continue;
+    }
+    restorable.push(snapshot);
+  }
+
+  return restorable;
+}
+
+/**
+ * Roll back an ingestion job: delete its line items, restore the rows it replaced or
+ * superseded, recompute the affected days and drop anomalies/recommendations that
+ * were derived only from the deleted data. The job document itself is left to the caller.
+ */
+async function deleteJobData(jobId) {
   const job = await IngestionJob.findById(jobId);
-  if (!job || !job.userId) {
-    logger.error('Job not found or missing userId');
-    return;
+  if (!job) {
+    throw new Error('Ingestion job not found');
   }
-  
-  const userId = job.userId;
-  logger.info(`Aggregating data for user ${userId}`);
-  
-  // Get ALL line items for this user (not just from this job)
-  // This ensures we aggregate all data, including from previous uploads
-  const lineItems = await BillingLineItem.find({ userId }).lean();
-  
-  if (lineItems.length === 0) {
-    logger.warn('No line items found for user');
-    return;
+
+  const match = { userId: job.userId, ingestionJobId: job._id };
+  const [scope] = await BillingLineItem.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        startDate: { $min: '$usageStartDate' },
+        endDate: { $max: '$usageStartDate' },
+        accountIds: { $addToSet: '$accountId' },
+        days: {
+          $addToSet: {
+            $dateToString: { format: '%Y-%m-%d', date: { $ifNull: ['$usageStartDate', '$ingestionDate'] } }
+          }
+        }
+      }
+    }
+  ]);
+
+  const { deletedCount } = await BillingLineItem.deleteMany(match);
+  logger.info(`Deleted ${deletedCount} line items of job ${jobId}`);
+
+  // Rows this job replaced or superseded go back to their previous version
+  const versions = await BillingLineItemVersion.find({ supersededByJobId: job._id }).lean();
+  const restored = await restorableVersions(job.userId, versions);
+  if (restored.length > 0) {
+    try {
+      await BillingLineItem.insertMany(restored, { ordered: false });
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err;
+    }
+    logger.info(`Restored ${restored.length} previous line item versions`);
+  }
+  if (versions.length > 0) {
+    await BillingLineItemVersion.deleteMany({ _id: { $in: versions.map(version => version._id) } });
   }
 
-  logger.info(`Found ${lineItems.length} line items to aggregate`);
+  const result = {
+    lineItems: deletedCount,
+    restored: restored.length,
+    anomalies: 0,
+    recommendations: 0
+  };
+  if (!scope && restored.length === 0) return result;
 
-  // Group by date, account, service, region
-  const dailyAggregates = new Map();
-  
-  lineItems.forEach(item => {
-    const date = new Date(item.usageStartDate || item.ingestionDate);
-    date.setHours(0, 0, 0, 0);
-    
-    const key = `${date.toISOString()}_${item.accountId || 'unknown'}_${item.service || 'unknown'}_${item.region || 'unknown'}`;
-    
-    if (!dailyAggregates.has(key)) {
-      dailyAggregates.set(key, {
-        date,
-        accountId: item.accountId || 'unknown',
-        service: item.service || 'unknown',
-        region: item.region || 'unknown',
-        aggregationType: 'daily',
-        userId: userId,
-        totalCost: 0,
-        totalUsageQuantity: 0,
-        lineItemCount: 0
-      });
+  // Restored rows of a superseded billing period may fall on days the job had no rows for
+  const days = new Set(scope ? scope.days.filter(Boolean) : []);
+  restored.forEach(item => days.add(toDay(item.usageStartDate || item.ingestionDate)));
+  if (days.size > 0) {
+    await aggregateData(jobId, { days: Array.from(days) });
+  }
+
+  if (!scope) return result;
+
+  const accountIds = scope.accountIds.filter(Boolean);
+  if (scope.startDate) {
+    // Anomalies are dated at the start of the day in the reporting timezone
+    const { timezone } = await getReportingSettings(job.userId);
+    result.anomalies = await removeOrphanedAnomalies(job.userId, {
+      accountIds,
+      startDate: startOfDay(scope.startDate, timezone),
+      endDate: scope.endDate,
+      timeZone: timezone
+    });
+  }
+  result.recommendations = await removeOrphanedRecommendations(job.userId, accountIds);
+
+  return result;
+}
+
+/**
+ * Aggregation pipeline expression for a string field, falling back when it is missing or empty
+ */
+function withDefault(field, fallback) {
+  return { $cond: [{ $gt: [{ $ifNull: [field, ''] }, ''] }, field, fallback] };
+}
+
+// Account/service/region dimensions, read the same way from line items and from daily buckets
+const BUCKET_DIMENSIONS = {
+  provider: withDefault('$provider', 'aws'),
+  accountId: withDefault('$accountId', 'unknown'),
+  service: withDefault('$service', 'unknown'),
+  region: withDefault('$region', 'unknown'),
+  // Line items ingested before charge categories were recorded count as usage
+  chargeCategory: withDefault('$chargeCategory', 'usage')
+};
+
+// Usage type and operation dimensions of the usage buckets, read from line items
+const USAGE_DIMENSIONS = {
+  usageType: withDefault('$usageTypeNormalized', 'unknown'),
+  operation: withDefault('$operation', 'unknown')
+};
+
+/**
+ * Sums of every cost measure, each read with a costExpression of utils/costMetric
+ */
+function costTotals(costExpression) {
+  return Object.fromEntries(Object.entries(COST_METRICS).map(([costMetric, { aggregateField }]) => [
+    aggregateField,
+    { $sum: costExpression(costMetric) }
+  ]));
+}
+
+// Bucket totals summed from line items, and from finer buckets
+const LINE_ITEM_TOTALS = {
+  ...costTotals(lineItemCostExpression),
+  totalUsageQuantity: { $sum: '$usageQuantityNormalized' },
+  lineItemCount: { $sum: 1 }
+};
+const BUCKET_TOTALS = {
+  ...costTotals(aggregateCostExpression),
+  totalUsageQuantity: { $sum: '$totalUsageQuantity' },
+  lineItemCount: { $sum: '$lineItemCount' }
+};
+
+/**
+ * Stages grouping line items into buckets by groupId and summing their totals in a reporting
+ * currency. When currencies (those of the line items) include others, each bucket is first
+ * summed per currency and converted at the exchange rate of its day.
+ */
+function groupLineItems(groupId, { currency, timezone }, currencies) {
+  if (currencies.every(code => code === currency)) {
+    return [{ $group: { _id: groupId, ...LINE_ITEM_TOTALS } }];
+  }
+
+  const convertedCost = costMetric => ({
+    $multiply: [`$${COST_METRICS[costMetric].aggregateField}`, '$exchangeRate']
+  });
+  return [
+    { $group: { _id: { ...groupId, currency: withDefault('$currencyCode', DEFAULT_CURRENCY) }, ...LINE_ITEM_TOTALS } },
+    ...conversionStages(currency, timezone),
+    {
+      $group: {
+        _id: Object.fromEntries(Object.keys(groupId).map(key => [key, `$_id.${key}`])),
+        ...costTotals(convertedCost),
+        totalUsageQuantity: { $sum: '$totalUsageQuantity' },
+        lineItemCount: { $sum: '$lineItemCount' }
+      }
+    }
+  ];
+}
+
+/**
+ * Write the buckets of one grain produced by an aggregation pipeline cursor as upserts, in
+ * batches, with the currency their costs are in. Buckets of the same grain, type and dates
+ * that the pipeline no longer produced (because their line items are gone) are removed
+ * afterwards. Returns the number written.
+ */
+async function upsertAggregates(userId, aggregationType, grain, cursor, ranges, currency) {
+  const computedAt = new Date();
+  let operations = [];
+  let written = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Aggregate.bulkWrite(operations, { ordered: false });
+    written += operations.length;
+    operations = [];
+  };
+
+  for await (const bucket of cursor) {
+    const { _id: { date, ...dimensions }, ...totals } = bucket;
+    operations.push({
+      updateOne: {
+        filter: { userId, aggregationType, ...grain, date, ...dimensions },
+        update: { $set: { ...totals, currency, computedAt } },
+        upsert: true
+      }
+    });
+    if (operations.length >= AGGREGATE_WRITE_BATCH_SIZE) {
+      await flush();
     }
-    
-    const agg = dailyAggregates.get(key);
-    agg.totalCost += item.cost || 0;
-    agg.totalUsageQuantity += item.usageQuantityNormalized || 0;
-    agg.lineItemCount += 1;
+  }
+  await flush();
+
+  const { deletedCount } = await Aggregate.deleteMany({
+    userId,
+    aggregationType,
+    ...grain,
+    computedAt: { $lt: computedAt },
+    ...rangeFilter('date', ranges)
   });
+  logger.info(`Upserted ${written} ${aggregationType} aggregates, removed ${deletedCount} emptied ones`);
+  return written;
+}
+
+/**
+ * Shift a date by a number of hours, or by calendar days, weeks, months, quarters or years in
+ * a timezone. The open end of a range stays open.
+ */
+function shiftDate(date, unit, amount, timeZone) {
+  if (date.getTime() === MAX_DATE.getTime()) {
+    return date;
+  }
+  if (unit === 'hour') {
+    return new Date(date.getTime() + amount * HOUR_MS);
+  }
+  if (MONTHS_PER_UNIT[unit]) {
+    return addMonths(date, amount * MONTHS_PER_UNIT[unit], timeZone);
+  }
+  return addDays(date, amount * (unit === 'week' ? 7 : 1), timeZone);
+}
+
+/**
+ * How many months a quarterly or fiscal-year bucket starts after the calendar quarter or year
+ */
+function fiscalOffset(aggregationType, fiscalYearStartMonth) {
+  if (aggregationType === 'quarterly') return (fiscalYearStartMonth - 1) % 3;
+  if (aggregationType === 'fiscalYear') return fiscalYearStartMonth - 1;
+  return 0;
+}
+
+/**
+ * Start of the rollup bucket a date falls in, in a timezone: its ISO week (from Monday),
+ * month, fiscal quarter or fiscal year
+ */
+function rollupStart(date, aggregationType, fiscalYearStartMonth, timeZone) {
+  const { year, month, day, weekday } = zonedParts(date, timeZone);
+  if (aggregationType === 'weekly') {
+    return zonedTime(timeZone, year, month, day - (weekday + 6) % 7);
+  }
+  const length = MONTHS_PER_UNIT[AGGREGATION_PERIODS[aggregationType].unit];
+  const offset = fiscalOffset(aggregationType, fiscalYearStartMonth);
+  const start = Math.floor((year * 12 + month - offset) / length) * length + offset;
+  return zonedTime(timeZone, Math.floor(start / 12), start % 12, 1);
+}
+
+/**
+ * Aggregation pipeline expression of rollupStart for a date field
+ */
+function rollupStartExpression(field, aggregationType, fiscalYearStartMonth, timeZone) {
+  if (aggregationType === 'weekly') {
+    return { $dateTrunc: { date: field, unit: 'week', startOfWeek: 'monday', timezone: timeZone } };
+  }
+  const { unit } = AGGREGATION_PERIODS[aggregationType];
+  const offset = fiscalOffset(aggregationType, fiscalYearStartMonth);
+  if (offset === 0) {
+    return { $dateTrunc: { date: field, unit, timezone: timeZone } };
+  }
+  // Move the date onto the calendar quarter or year, truncate it, and move it back
+  const shifted = { $dateSubtract: { startDate: field, unit: 'month', amount: offset, timezone: timeZone } };
+  return {
+    $dateAdd: {
+      startDate: { $dateTrunc: { date: shifted, unit, timezone: timeZone } },
+      unit: 'month',
+      amount: offset,
+      timezone: timeZone
+    }
+  };
+}
+
+/**
+ * Fill the period-over-period fields of a user's buckets of one aggregation type: the cost of
+ * the same bucket in the previous period and in the same period of the previous cycle (see
+ * AGGREGATION_PERIODS). When ranges is given, only the buckets in those ranges and the later
+ * buckets that compare against them are updated.
+ */
+async function computePeriodVariance(userId, aggregationType, ranges, timeZone) {
+  const { unit, previous, seasonal } = AGGREGATION_PERIODS[aggregationType];
+
+  // Read back far enough to find the buckets compared against, and update forward far
+  // enough to reach the buckets that compare against the recomputed ones
+  const readRanges = ranges && mergeRanges(ranges.map(({ start, end }) => ({
+    start: shiftDate(start, unit, -seasonal, timeZone),
+    end: shiftDate(end, unit, seasonal, timeZone)
+  })));
+  const updateRanges = ranges && mergeRanges(ranges.map(({ start, end }) => ({
+    start,
+    end: shiftDate(end, unit, seasonal, timeZone)
+  })));
 
-  // Delete existing daily aggregates for this user to avoid duplicates
-  const deleteResult = await Aggregate.deleteMany({ 
-    userId: userId, 
-    aggregationType: 'daily' 
+  // Buckets are numbered by periods in the timezone, so a 23 or 25 hour day across a DST
+  // change is still exactly one day after the previous one
+  const periodIndex = {
+    $dateDiff: {
+      startDate: new Date(0),
+      endDate: '$date',
+      unit,
+      timezone: timeZone,
+      ...(unit === 'week' && { startOfWeek: 'monday' })
+    }
+  };
+
+  const variance = (previousField) => ({
+    $cond: [
+      { $gt: [previousField, 0] },
+      { $multiply: [{ $divide: [{ $subtract: ['$totalCost', previousField] }, previousField] }, 100] },
+      null
+    ]
   });
-  logger.info(`Deleted ${deleteResult.deletedCount} existing daily aggregates`);
 
-  // Save new aggregates with userId
-  const aggregates = Array.from(dailyAggregates.values());
-  if (aggregates.length > 0) {
-    try {
-      const insertResult = await Aggregate.insertMany(aggregates, { ordered: false });
-      logger.info(`Successfully created ${insertResult.length} daily aggregates`);
-      
-      // Verify the aggregates were saved
-      const verifyCount = await Aggregate.countDocuments({ 
-        userId: userId, 
-        aggregationType: 'daily' 
-      });
-      logger.info(`Verified: ${verifyCount} daily aggregates now exist for user ${userId}`);
-    } catch (err) {
-      // Handle duplicate key errors
-      if (err.code === 11000) {
-        logger.warn('Some aggregates already exist, using upsert approach');
-        // Use upsert for each aggregate
-        let upserted = 0;
-        for (const agg of aggregates) {
-          await Aggregate.findOneAndUpdate(
-            {
-              userId: agg.userId,
-              date: agg.date,
-              accountId: agg.accountId,
-              service: agg.service,
-              region: agg.region,
-              aggregationType: agg.aggregationType
-            },
-            agg,
-            { upsert: true }
-          );
-          upserted++;
+  await Aggregate.aggregate([
+    { $match: { userId, aggregationType, ...rangeFilter('date', readRanges) } },
+    { $set: { periodIndex } },
+    {
+      $setWindowFields: {
+        // Every grain at once: their dimensions never overlap. Missing and null fields
+        // are made equal, since older buckets were written without the grain fields.
+        partitionBy: Object.fromEntries(VARIANCE_PARTITION_FIELDS.map(field => [field, { $ifNull: [`$${field}`, null] }])),
+        sortBy: { periodIndex: 1 },
+        output: {
+          previousPeriodCost: { $sum: '$totalCost', window: { range: [-previous, -previous] } },
+          seasonalPeriodCost: { $sum: '$totalCost', window: { range: [-seasonal, -seasonal] } }
         }
-        logger.info(`Upserted ${upserted} daily aggregates`);
-      } else {
-        logger.error('Error inserting aggregates:', err);
-        throw err;
+      }
+    },
+    ...(updateRanges ? [{ $match: rangeFilter('date', updateRanges) }] : []),
+    {
+      $project: {
+        previousPeriodCost: 1,
+        costVariance: { $subtract: ['$totalCost', '$previousPeriodCost'] },
+        costVariancePercent: variance('$previousPeriodCost'),
+        seasonalPeriodCost: 1,
+        seasonalVariance: { $subtract: ['$totalCost', '$seasonalPeriodCost'] },
+        seasonalVariancePercent: variance('$seasonalPeriodCost')
+      }
+    },
+    {
+      $merge: {
+        into: Aggregate.collection.collectionName,
+        on: '_id',
+        whenMatched: 'merge',
+        whenNotMatched: 'discard'
       }
     }
-  } else {
-    logger.warn('No aggregates to save');
+  ]).allowDiskUse(true);
+}
+
+/**
+ * Aggregate a user's line items into hourly or daily buckets by account, service and region,
+ * by usage type and operation, and by the values of each of AGGREGATE_TAG_KEYS, then fill in
+ * their period-over-period fields. Buckets start on the hour or at midnight in the reporting
+ * timezone and are summed in the reporting currency (settings, see utils/reportingSettings).
+ * ranges (unset for all dates) restricts it to some dates.
+ */
+async function aggregateLineItems(userId, aggregationType, ranges, settings) {
+  const { timezone: timeZone, currency } = settings;
+  const { unit } = AGGREGATION_PERIODS[aggregationType];
+  const match = {
+    $match: {
+      userId,
+      ...(ranges && {
+        $or: ranges.flatMap(({ start, end }) => [
+          { usageStartDate: { $gte: start, $lt: end } },
+          { usageStartDate: null, ingestionDate: { $gte: start, $lt: end } }
+        ])
+      })
+    }
+  };
+  // Rows without a usage date are counted when they were ingested
+  const bucketDate = {
+    $dateTrunc: { date: { $ifNull: ['$usageStartDate', '$ingestionDate'] }, unit, timezone: timeZone }
+  };
+
+  // Rows ingested before source currencies were recorded are in the default currency
+  const currencies = (await BillingLineItem.distinct('currencyCode', match.$match)).map(code => code || DEFAULT_CURRENCY);
+  if (currency !== DEFAULT_CURRENCY && await BillingLineItem.exists({ ...match.$match, currencyCode: null })) {
+    currencies.push(DEFAULT_CURRENCY);
+  }
+  if (currencies.some(code => code !== currency)) {
+    const unrated = await findCurrenciesWithoutRates([...currencies, currency]);
+    if (unrated.length > 0) {
+      logger.warn(`No exchange rates for ${unrated.join(', ')}; costs are aggregated unconverted`);
+    }
+  }
+
+  const cursor = BillingLineItem.aggregate([
+    match,
+    ...groupLineItems({ date: bucketDate, ...BUCKET_DIMENSIONS }, settings, currencies)
+  ]).allowDiskUse(true).cursor();
+  await upsertAggregates(userId, aggregationType, Aggregate.BASE_GRAIN, cursor, ranges, currency);
+
+  const usageCursor = BillingLineItem.aggregate([
+    match,
+    ...groupLineItems({ date: bucketDate, ...BUCKET_DIMENSIONS, ...USAGE_DIMENSIONS }, settings, currencies)
+  ]).allowDiskUse(true).cursor();
+  await upsertAggregates(userId, aggregationType, Aggregate.USAGE_GRAIN, usageCursor, ranges, currency);
+
+  // One pass emits a bucket per configured tag key; without any, stale tag buckets are just removed
+  const tagKeys = getAggregateTagKeys();
+  const tagCursor = tagKeys.length === 0 ? [] : BillingLineItem.aggregate([
+    match,
+    {
+      $project: {
+        usageStartDate: 1,
+        ingestionDate: 1,
+        provider: 1,
+        accountId: 1,
+        service: 1,
+        region: 1,
+        chargeCategory: 1,
+        currencyCode: 1,
+        cost: 1,
+        blendedCost: 1,
+        amortizedCost: 1,
+        netAmortizedCost: 1,
+        usageQuantityNormalized: 1,
+        tag: tagKeys.map(key => ({
+          key: { $literal: key },
+          value: withDefault({ $getField: { field: { $literal: key }, input: '$tags' } }, 'untagged')
+        }))
+      }
+    },
+    { $unwind: '$tag' },
+    ...groupLineItems({ date: bucketDate, ...BUCKET_DIMENSIONS, tagKey: '$tag.key', tagValue: '$tag.value' }, settings, currencies)
+  ]).allowDiskUse(true).cursor();
+  await upsertAggregates(userId, aggregationType, Aggregate.TAG_GRAIN, tagCursor, ranges, currency);
+
+  await computePeriodVariance(userId, aggregationType, ranges, timeZone);
+}
+
+/**
+ * Remove hourly buckets that have fallen out of the retention window, of one user or of all
+ */
+async function pruneHourlyAggregates(userId) {
+  // The window ends at midnight in each user's reporting timezone
+  const userIds = userId ? [userId] : await Aggregate.distinct('userId', { aggregationType: 'hourly' });
+  let removed = 0;
+
+  for (const id of userIds) {
+    const { timezone } = await getReportingSettings(id);
+    const { deletedCount } = await Aggregate.deleteMany({
+      userId: id,
+      aggregationType: 'hourly',
+      date: { $lt: hourlyRetentionStart(timezone) }
+    });
+    removed += deletedCount;
+  }
+
+  if (removed > 0) {
+    logger.info(`Removed ${removed} hourly aggregates past their retention`);
+  }
+  return removed;
+}
+
+/**
+ * Aggregate a user's line items with MongoDB aggregation pipelines, upserting the daily
+ * buckets, the hourly ones within the retention window, and then the rollups, all bounded
+ * by the user's reporting timezone and in their reporting currency. options.days (UTC 'YYYY-MM-DD') and options.months
+ * ('YYYY-MM') restrict it to the days in that timezone that they overlap; without either,
+ * ALL of the user's data is re-aggregated.
+ */
+async function aggregateUserData(userId, options = {}) {
+  const { days, months } = options;
+  const settings = await getReportingSettings(userId);
+  const { timezone } = settings;
+  const ranges = days || months
+    ? mergeRanges([...dayRanges(days || []), ...(months || []).map(monthRange)].map(range => wholeDays(range, timezone)))
+    : null;
+  if (ranges && ranges.length === 0) {
+    logger.warn('No dates to aggregate');
+    return;
+  }
+  logger.info(`Aggregating data for user ${userId}${ranges ? ` over ${ranges.length} date ranges` : ''}`);
+
+  await aggregateLineItems(userId, 'daily', ranges, settings);
+
+  // Hourly buckets are only built for recent dates, which keeps their number bounded
+  const recentRanges = hourlyRanges(ranges, timezone);
+  if (recentRanges.length > 0) {
+    await aggregateLineItems(userId, 'hourly', recentRanges, settings);
   }
+  await pruneHourlyAggregates(userId);
 
-  // Recompute monthly aggregates for this user
-  logger.info('Starting monthly aggregate computation...');
-  await computeMonthlyAggregates(userId);
+  // Roll the affected weeks, months, quarters and fiscal years up again
+  await computeRollupAggregates(userId, { ranges });
   logger.info('Aggregation completed successfully');
 }
 
 /**
- * Compute monthly aggregates from daily aggregates
+ * Aggregate the data of an ingestion job's user, restricted to the dates the job touched
+ * when options.days or options.months is given
  */
-async function computeMonthlyAggregates(userId) {
-  if (!userId) {
-    logger.warn('No userId provided for monthly aggregation');
+async function aggregateData(jobId, options = {}) {
+  logger.info(`Starting data aggregation for job ${jobId}...`);
+
+  const job = await IngestionJob.findById(jobId);
+  if (!job || !job.userId) {
+    logger.error('Job not found or missing userId');
     return;
   }
 
-  logger.info(`Computing monthly aggregates for user ${userId}`);
-  
-  // Get all daily aggregates for this user (not just current month)
-  const query = {
-    aggregationType: 'daily',
-    userId: userId
-  };
-  
-  const dailyAggs = await Aggregate.find(query).lean();
-  
-  if (dailyAggs.length === 0) {
-    logger.warn('No daily aggregates found for monthly computation');
+  await aggregateUserData(job.userId, options);
+}
+
+/**
+ * Run a queued 'reaggregate' job: rebuild the user's aggregates of job.aggregation.months,
+ * only the rollups in job.aggregation.rollups, or all of them
+ */
+async function processReaggregationJob(jobId) {
+  const job = await IngestionJob.findById(jobId);
+  if (!job) {
+    throw permanentError(new Error('Ingestion job not found'));
+  }
+
+  job.status = 'processing';
+  job.startedAt = new Date();
+  job.progress = measureProgress('aggregating', job.startedAt, 0, null, null);
+  await job.save();
+
+  const { months = [], rollups = [] } = job.aggregation || {};
+  if (rollups.length > 0) {
+    await computeRollupAggregates(job.userId, { types: rollups });
+  } else {
+    await aggregateUserData(job.userId, months.length > 0 ? { months } : {});
+  }
+
+  job.status = 'completed';
+  job.completedAt = new Date();
+  job.duration = job.completedAt - job.startedAt;
+  job.progress = measureProgress('finished', job.startedAt, 0, null, null);
+  await job.save();
+  logger.info(`Rebuilt aggregates of user ${job.userId} (job ${jobId})`);
+}
+
+/**
+ * Roll a user's daily aggregates up into weekly, monthly, quarterly and fiscal-year ones, in
+ * the user's reporting timezone and fiscal calendar. options.ranges (date ranges of daily
+ * buckets) recomputes only the rollup buckets they fall in, and options.types only some of
+ * the rollups.
+ */
+async function computeRollupAggregates(userId, options = {}) {
+  const { ranges, types = ROLLUP_TYPES } = options;
+  if (!userId) {
+    logger.warn('No userId provided for rollup aggregation');
+    return;
+  }
+  if (ranges && ranges.length === 0) {
     return;
   }
 
-  logger.info(`Found ${dailyAggs.length} daily aggregates to compute monthly aggregates`);
-
-  const monthlyMap = new Map();
-
-  dailyAggs.forEach(daily => {
-    const monthStart = new Date(daily.date);
-    monthStart.setDate(1);
-    monthStart.setHours(0, 0, 0, 0);
-    
-    const key = `${monthStart.toISOString()}_${daily.accountId || 'unknown'}_${daily.service || 'unknown'}_${daily.region || 'unknown'}`;
-    
-    if (!monthlyMap.has(key)) {
-      monthlyMap.set(key, {
-        date: monthStart,
-        userId: daily.userId,
-        accountId: daily.accountId || 'unknown',
-        service: daily.service || 'unknown',
-        region: daily.region || 'unknown',
-        aggregationType: 'monthly',
-        totalCost: 0,
-        totalUsageQuantity: 0,
-        lineItemCount: 0
-      });
-    }
-    
-    const monthly = monthlyMap.get(key);
-    monthly.totalCost += daily.totalCost || 0;
-    monthly.totalUsageQuantity += daily.totalUsageQuantity || 0;
-    monthly.lineItemCount += daily.lineItemCount || 0;
-  });
+  logger.info(`Computing ${types.join(', ')} aggregates for user ${userId}`);
 
-  // Delete existing monthly aggregates for this user
-  await Aggregate.deleteMany({ 
-    userId: userId, 
-    aggregationType: 'monthly' 
-  });
-  logger.info('Deleted existing monthly aggregates');
+  const { fiscalYearStartMonth, timezone, currency } = await getReportingSettings(userId);
 
-  const monthlyAggs = Array.from(monthlyMap.values());
-  if (monthlyAggs.length > 0) {
-    try {
-      await Aggregate.insertMany(monthlyAggs, { ordered: false });
-      logger.info(`Created ${monthlyAggs.length} monthly aggregates`);
-    } catch (err) {
-      // Handle duplicate key errors
-      if (err.code === 11000) {
-        logger.warn('Some monthly aggregates already exist, using upsert approach');
-        // Use upsert for each aggregate
-        for (const agg of monthlyAggs) {
-          await Aggregate.findOneAndUpdate(
-            {
-              userId: agg.userId,
-              date: agg.date,
-              accountId: agg.accountId,
-              service: agg.service,
-              region: agg.region,
-              aggregationType: agg.aggregationType
-            },
-            agg,
-            { upsert: true }
-          );
+  const grains = [
+    { grain: Aggregate.BASE_GRAIN, dimensions: BUCKET_DIMENSIONS },
+    { grain: Aggregate.TAG_GRAIN, dimensions: { ...BUCKET_DIMENSIONS, tagKey: '$tagKey', tagValue: '$tagValue' } },
+    { grain: Aggregate.USAGE_GRAIN, dimensions: { ...BUCKET_DIMENSIONS, usageType: '$usageType', operation: '$operation' } }
+  ];
+
+  for (const aggregationType of types) {
+    const { unit } = AGGREGATION_PERIODS[aggregationType];
+
+    // Widen the ranges to whole rollup buckets
+    const bucketRanges = ranges && mergeRanges(ranges.map(({ start, end }) => ({
+      start: rollupStart(start, aggregationType, fiscalYearStartMonth, timezone),
+      end: shiftDate(rollupStart(new Date(end.getTime() - 1), aggregationType, fiscalYearStartMonth, timezone), unit, 1, timezone)
+    })));
+    const bucketDate = rollupStartExpression('$date', aggregationType, fiscalYearStartMonth, timezone);
+
+    for (const { grain, dimensions } of grains) {
+      const cursor = Aggregate.aggregate([
+        {
+          $match: {
+            userId,
+            aggregationType: 'daily',
+            ...grain,
+            ...rangeFilter('date', bucketRanges)
+          }
+        },
+        {
+          $group: {
+            _id: { date: bucketDate, ...dimensions },
+            ...BUCKET_TOTALS
+          }
         }
-        logger.info(`Upserted ${monthlyAggs.length} monthly aggregates`);
-      } else {
-        throw err;
-      }
+      ]).allowDiskUse(true).cursor();
+
+      await upsertAggregates(userId, aggregationType, grain, cursor, bucketRanges, currency);
     }
+
+    await computePeriodVariance(userId, aggregationType, bucketRanges, timezone);
   }
 }
 
 module.exports = {
   processCSVFile,
+  previewFile,
+  detectFormat,
   normalizeLineItem,
+  computeFingerprint,
+  REJECT_REPORT_COLUMNS,
+  deleteJobData,
   aggregateData,
-  computeMonthlyAggregates
+  aggregateUserData,
+  processReaggregationJob,
+  computeRollupAggregates,
+  pruneHourlyAggregates
 };
 
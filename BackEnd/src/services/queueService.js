@@ -0,0 +1,320 @@
+const os = require('os');
+const IngestionJob = require('../models/IngestionJob');
+const ingestionService = require('./ingestionService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const DEFAULT_CONFIG = {
+  concurrency: 2, // jobs processed at once by one worker
+  maxConcurrentJobs: 0, // jobs processing across all workers (0 = no limit)
+  maxAttempts: 3,
+  retryDelayMs: 30 * 1000, // doubled after each failed attempt
+  pollIntervalMs: 2000,
+  heartbeatIntervalMs: 30 * 1000,
+  lockTimeoutMs: 5 * 60 * 1000 // a processing job without a heartbeat for this long is requeued
+};
+
+/**
+ * Read queue settings from the environment
+ */
+function getConfigFromEnv() {
+  const fromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+  };
+
+  return {
+    concurrency: fromEnv('INGESTION_CONCURRENCY', DEFAULT_CONFIG.concurrency),
+    maxConcurrentJobs: fromEnv('INGESTION_MAX_CONCURRENT_JOBS', DEFAULT_CONFIG.maxConcurrentJobs),
+    maxAttempts: fromEnv('INGESTION_MAX_ATTEMPTS', DEFAULT_CONFIG.maxAttempts),
+    retryDelayMs: fromEnv('INGESTION_RETRY_DELAY_MS', DEFAULT_CONFIG.retryDelayMs),
+    pollIntervalMs: fromEnv('INGESTION_POLL_INTERVAL_MS', DEFAULT_CONFIG.pollIntervalMs),
+    heartbeatIntervalMs: DEFAULT_CONFIG.heartbeatIntervalMs,
+    lockTimeoutMs: fromEnv('INGESTION_LOCK_TIMEOUT_MS', DEFAULT_CONFIG.lockTimeoutMs)
+  };
+}
+
+/**
+ * Queue a job for processing, resetting its attempts
+ */
+async function enqueueJob(jobId, runAt = new Date()) {
+  return IngestionJob.findOneAndUpdate(
+    { _id: jobId, status: { $ne: 'processing' } },
+    {
+      $set: { status: 'pending', nextRunAt: runAt, attempts: 0, rollbackOnCancel: false },
+      $unset: { lockedBy: 1, lockedAt: 1, cancelRequestedAt: 1 }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Queue a rebuild of a user's aggregates: of some months, only some rollups, or all of them.
+ * A queued full rebuild already covers any other, so it is returned instead of a new job.
+ */
+async function enqueueReaggregation(userId, { months = [], rollups = [], createdBy = userId } = {}) {
+  const queued = await IngestionJob.findOne({
+    userId,
+    type: 'reaggregate',
+    status: 'pending',
+    'aggregation.months': { $size: 0 },
+    'aggregation.rollups': { $size: 0 }
+  });
+  if (queued) {
+    return queued;
+  }
+
+  const job = await IngestionJob.create({
+    type: 'reaggregate',
+    fileName: 'Aggregate rebuild',
+    aggregation: { months, rollups },
+    status: 'pending',
+    nextRunAt: new Date(),
+    userId,
+    createdBy
+  });
+  logger.info(`Queued aggregate rebuild ${job._id} for user ${userId}`);
+  return job;
+}
+
+/**
+ * Atomically lock the next due job for a worker
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+  return IngestionJob.findOneAndUpdate(
+    {
+      status: 'pending',
+      // Jobs queued before the work queue existed have no nextRunAt
+      $or: [{ nextRunAt: { $lte: now } }, { nextRunAt: { $exists: false } }]
+    },
+    {
+      $set: { status: 'processing', lockedBy: workerId, lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1, createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Requeue a failed attempt with exponential backoff, or fail the job once attempts run out.
+ * Permanent errors (e.g. a malformed file) fail the job at once.
+ */
+async function handleFailure(job, workerId, err, config) {
+  const lock = { _id: job._id, lockedBy: workerId };
+
+  if (!err.permanent && job.attempts < config.maxAttempts) {
+    const delay = config.retryDelayMs * Math.pow(2, job.attempts - 1);
+    logger.warn(`Job ${job._id} attempt ${job.attempts} failed, retrying in ${delay / 1000}s: ${err.message}`);
+    await IngestionJob.updateOne(lock, {
+      $set: { status: 'pending', nextRunAt: new Date(Date.now() + delay) },
+      $unset: { lockedBy: 1, lockedAt: 1 },
+      $push: {
+        errors: {
+          row: 0,
+          message: `Attempt ${job.attempts} failed: ${err.message}`,
+          timestamp: new Date()
+        }
+      }
+    });
+  } else {
+    logger.error(err.permanent
+      ? `Job ${job._id} failed and will not be retried: ${err.message}`
+      : `Job ${job._id} failed after ${job.attempts} attempts: ${err.message}`);
+    await IngestionJob.updateOne(lock, {
+      $set: { status: 'failed', completedAt: new Date() },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    });
+  }
+}
+
+/**
+ * Process a claimed job, keeping its lock alive with a heartbeat
+ */
+async function runJob(job, workerId, config) {
+  logger.info(`Worker ${workerId} processing job ${job._id} (attempt ${job.attempts})`);
+
+  const heartbeat = setInterval(() => {
+    IngestionJob.updateOne({ _id: job._id, lockedBy: workerId }, { lockedAt: new Date() })
+      .catch(err => logger.error(`Heartbeat failed for job ${job._id}:`, err));
+  }, config.heartbeatIntervalMs);
+
+  try {
+    if (job.type === 'reaggregate') {
+      await ingestionService.processReaggregationJob(job._id);
+    } else {
+      await ingestionService.processCSVFile(job.filePath, job._id.toString(), { userId: job.userId });
+    }
+    await IngestionJob.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      { $unset: { lockedBy: 1, lockedAt: 1 } }
+    );
+  } catch (err) {
+    await handleFailure(job, workerId, err, config);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Cancel a job that no worker is processing, rolling back rows committed by earlier attempts
+ * if asked to. Returns the cancelled job, or null if its status has changed meanwhile.
+ */
+async function cancelQueuedJob(jobId, { rollback = false, statuses = ['pending'], filter = {} } = {}) {
+  const job = await IngestionJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: statuses }, ...filter },
+    {
+      $set: {
+        status: 'cancelled',
+        completedAt: new Date(),
+        rollbackOnCancel: rollback
+      },
+      $min: { cancelRequestedAt: new Date() },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    },
+    { new: true }
+  );
+  if (!job) {
+    return null;
+  }
+
+  if (rollback) {
+    const { lineItems } = await ingestionService.deleteJobData(job._id);
+    job.rowsRolledBack = lineItems;
+    await job.save();
+  }
+  logger.info(`Job ${job._id} cancelled${rollback ? ', committed rows rolled back' : ''}`);
+  return job;
+}
+
+/**
+ * Requeue jobs left in 'processing' by a worker that stopped sending heartbeats
+ * (e.g. a crash or restart mid-file), or fail them once attempts run out.
+ * Stale jobs with a pending cancellation are cancelled instead.
+ */
+async function recoverStaleJobs(config = getConfigFromEnv()) {
+  const staleBefore = new Date(Date.now() - config.lockTimeoutMs);
+  const staleJobs = await IngestionJob.find({
+    status: 'processing',
+    $or: [
+      { lockedAt: { $lt: staleBefore } },
+      // Jobs started before the work queue existed were never locked
+      { lockedAt: { $exists: false }, updatedAt: { $lt: staleBefore } }
+    ]
+  }).select('_id attempts lockedAt lockedBy cancelRequestedAt rollbackOnCancel');
+
+  let recovered = 0;
+  for (const job of staleJobs) {
+    if (job.cancelRequestedAt) {
+      const cancelled = await cancelQueuedJob(job._id, {
+        rollback: job.rollbackOnCancel,
+        statuses: ['processing'],
+        filter: { lockedAt: job.lockedAt || { $exists: false } }
+      });
+      recovered += cancelled ? 1 : 0;
+      continue;
+    }
+
+    const retry = job.attempts < config.maxAttempts;
+    const result = await IngestionJob.updateOne(
+      { _id: job._id, status: 'processing', lockedAt: job.lockedAt || { $exists: false } },
+      {
+        $set: retry
+          ? { status: 'pending', nextRunAt: new Date() }
+          : { status: 'failed', completedAt: new Date() },
+        $unset: { lockedBy: 1, lockedAt: 1 },
+        $push: {
+          errors: {
+            row: 0,
+            message: `Worker ${job.lockedBy || 'unknown'} stopped responding${retry ? '; job requeued' : ''}`,
+            timestamp: new Date()
+          }
+        }
+      }
+    );
+    recovered += result.modifiedCount;
+  }
+
+  if (recovered > 0) {
+    logger.warn(`Recovered ${recovered} stale ingestion jobs`);
+  }
+  return recovered;
+}
+
+/**
+ * Start polling the queue. Returns a handle whose stop() releases this worker's jobs
+ * back to the queue so another worker can resume them.
+ */
+function startWorker(options = {}) {
+  const config = { ...getConfigFromEnv(), ...options };
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const active = new Set();
+  let stopped = false;
+  let timer = null;
+  let lastRecovery = 0;
+
+  const poll = async () => {
+    try {
+      if (Date.now() - lastRecovery >= config.heartbeatIntervalMs) {
+        lastRecovery = Date.now();
+        await recoverStaleJobs(config);
+      }
+
+      while (!stopped && active.size < config.concurrency) {
+        if (config.maxConcurrentJobs > 0) {
+          const processing = await IngestionJob.countDocuments({ status: 'processing' });
+          if (processing >= config.maxConcurrentJobs) break;
+        }
+
+        const job = await claimNextJob(workerId);
+        if (!job) break;
+
+        const run = runJob(job, workerId, config).finally(() => active.delete(run));
+        active.add(run);
+      }
+    } catch (err) {
+      logger.error('Error polling ingestion queue:', err);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(poll, config.pollIntervalMs);
+    }
+  };
+
+  logger.info(`Ingestion worker ${workerId} started (concurrency ${config.concurrency})`);
+  poll();
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+
+      // Hand in-flight jobs back without spending one of their attempts
+      const result = await IngestionJob.updateMany(
+        { status: 'processing', lockedBy: workerId },
+        {
+          $set: { status: 'pending', nextRunAt: new Date() },
+          $unset: { lockedBy: 1, lockedAt: 1 },
+          $inc: { attempts: -1 }
+        }
+      );
+      logger.info(`Ingestion worker ${workerId} stopped, released ${result.modifiedCount} jobs`);
+    }
+  };
+}
+
+module.exports = {
+  getConfigFromEnv,
+  enqueueJob,
+  enqueueReaggregation,
+  cancelQueuedJob,
+  claimNextJob,
+  recoverStaleJobs,
+  startWorker
+};
@@ -2,6 +2,10 @@ const BillingLineItem = require('../models/BillingLineItem');
 const Aggregate = require('../models/Aggregate');
 const Recommendation = require('../models/Recommendation');
 
+// Buckets of usage charges (and those aggregated before charge categories), leaving out
+// taxes, fees and credits, which say nothing about how resources are used
+const USAGE_CHARGES = { chargeCategory: { $in: ['usage', null] } };
+
 /**
  * Generate cost optimization recommendations
  */
@@ -144,7 +148,9 @@ async function detectRIOpportunities(query) {
   const ec2Items = await Aggregate.find({
     ...query,
     service: { $regex: /EC2/i },
-    aggregationType: 'monthly'
+    aggregationType: 'monthly',
+    ...Aggregate.BASE_GRAIN,
+    ...USAGE_CHARGES
   }).lean();
 
   // Find accounts with consistent EC2 spend
@@ -367,6 +373,8 @@ async function detectIdleResources(query) {
   const lowUsageItems = await Aggregate.find({
     ...query,
     aggregationType: 'daily',
+    ...Aggregate.BASE_GRAIN,
+    ...USAGE_CHARGES,
     totalCost: { $gt: 0, $lt: 1 } // Less than $1 per day
   }).lean();
 
@@ -417,7 +425,33 @@ async function detectIdleResources(query) {
   return recommendations;
 }
 
+/**
+ * Remove recommendations for accounts or resources that no longer have any line items,
+ * e.g. after the data they were generated from has been deleted
+ */
+async function removeOrphanedRecommendations(userId, accountIds) {
+  const recommendations = await Recommendation.find({
+    userId,
+    accountId: { $in: accountIds }
+  }).lean();
+
+  const orphanedIds = [];
+  for (const recommendation of recommendations) {
+    const query = { userId, accountId: recommendation.accountId };
+    if (recommendation.resourceId) query.resourceId = recommendation.resourceId;
+
+    if (!await BillingLineItem.exists(query)) {
+      orphanedIds.push(recommendation._id);
+    }
+  }
+
+  if (orphanedIds.length === 0) return 0;
+  const result = await Recommendation.deleteMany({ _id: { $in: orphanedIds } });
+  return result.deletedCount;
+}
+
 module.exports = {
-  generateRecommendations
+  generateRecommendations,
+  removeOrphanedRecommendations
 };
 
@@ -1,5 +1,9 @@
 const cron = require('node-cron');
 const ingestionService = require('./ingestionService');
+const queueService = require('./queueService');
+const chunkedUploadService = require('./chunkedUploadService');
+const dropFolderService = require('./dropFolderService');
+const bucketSourceService = require('./bucketSourceService');
 const anomalyDetectionService = require('./anomalyDetectionService');
 const recommendationService = require('./recommendationService');
 const Aggregate = require('../models/Aggregate');
@@ -8,6 +12,10 @@ const fs = require('fs');
 const path = require('path');
 
 let scheduler = null;
+let dropFolderScheduler = null;
+
+// Dry-run previews that are neither confirmed nor cancelled are discarded after a day
+const PREVIEW_RETENTION_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Start the scheduler
@@ -30,6 +38,19 @@ function startScheduler(schedule, logger) {
   });
 
   logger.info(`Scheduler configured with schedule: ${schedule}`);
+
+  // Scan the watched drop folder for new billing exports
+  const dropFolder = dropFolderService.getConfigFromEnv();
+  if (dropFolderService.isEnabled(dropFolder)) {
+    dropFolderScheduler = cron.schedule(dropFolder.schedule, async () => {
+      try {
+        await dropFolderService.scanDropFolder(dropFolder, logger);
+      } catch (error) {
+        logger.error('Error scanning drop folder:', error);
+      }
+    });
+    logger.info(`Watching drop folder ${dropFolder.dir} with schedule: ${dropFolder.schedule}`);
+  }
 }
 
 /**
@@ -40,6 +61,10 @@ function stopScheduler() {
     scheduler.stop();
     scheduler = null;
   }
+  if (dropFolderScheduler) {
+    dropFolderScheduler.stop();
+    dropFolderScheduler = null;
+  }
 }
 
 /**
@@ -48,36 +73,52 @@ function stopScheduler() {
 async function runNightlyProcessing(logger) {
   const startTime = Date.now();
 
-  // 1. Process any pending ingestion jobs
-  const pendingJobs = await IngestionJob.find({ status: 'pending' });
-  logger.info(`Found ${pendingJobs.length} pending ingestion jobs`);
+  // 1. Pending ingestion jobs are processed by the queue workers. Requeue jobs
+  // stuck in 'processing' and fail queued jobs whose file has gone missing.
+  await queueService.recoverStaleJobs();
+
+  const pendingJobs = await IngestionJob.find({ status: 'pending', type: { $ne: 'reaggregate' } });
+  logger.info(`Found ${pendingJobs.length} queued ingestion jobs`);
 
   for (const job of pendingJobs) {
-    try {
-      if (job.filePath && fs.existsSync(job.filePath)) {
-        logger.info(`Processing job ${job._id}: ${job.fileName}`);
-        // Pass userId from job to ensure data is associated with the correct user
-        await ingestionService.processCSVFile(job.filePath, job._id.toString(), { userId: job.userId });
-      } else {
-        logger.warn(`Job ${job._id} file not found: ${job.filePath}`);
-        job.status = 'failed';
-        await job.save();
-      }
-    } catch (error) {
-      logger.error(`Error processing job ${job._id}:`, error);
+    if (!job.filePath || !fs.existsSync(job.filePath)) {
+      logger.warn(`Job ${job._id} file not found: ${job.filePath}`);
       job.status = 'failed';
       job.errors.push({
         row: 0,
-        message: error.message,
+        message: 'Uploaded file not found',
         timestamp: new Date()
       });
       await job.save();
     }
   }
 
-  // 2. Compute monthly aggregates
-  logger.info('Computing monthly aggregates...');
-  await ingestionService.computeMonthlyAggregates();
+  // Pull new billing exports from the configured buckets
+  const queued = await bucketSourceService.syncAllBucketSources(logger);
+  logger.info(`Queued ${queued} files from bucket sources`);
+
+  // Discard abandoned upload previews and their files
+  const stalePreviews = await IngestionJob.find({
+    status: 'preview',
+    createdAt: { $lt: new Date(Date.now() - PREVIEW_RETENTION_MS) }
+  });
+  for (const job of stalePreviews) {
+    if (job.filePath && fs.existsSync(job.filePath)) {
+      fs.unlinkSync(job.filePath);
+    }
+    await job.deleteOne();
+  }
+  if (stalePreviews.length > 0) {
+    logger.info(`Removed ${stalePreviews.length} abandoned upload previews`);
+  }
+
+  // Discard chunked uploads that were never completed
+  await chunkedUploadService.removeExpiredSessions();
+
+  // 2. Compute rollup aggregates, and drop hourly ones past their retention
+  logger.info('Computing rollup aggregates...');
+  await ingestionService.computeRollupAggregates();
+  await ingestionService.pruneHourlyAggregates();
 
   // 3. Detect anomalies
   logger.info('Detecting anomalies...');
@@ -0,0 +1,64 @@
+const Aggregate = require('../models/Aggregate');
+
+/**
+ * Tag keys that get their own aggregates (comma-separated AGGREGATE_TAG_KEYS, e.g. 'Environment,Project,Team')
+ */
+function getAggregateTagKeys() {
+  return (process.env.AGGREGATE_TAG_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+// Dimensions only the usage buckets are split by
+const USAGE_DIMENSIONS = ['usageType', 'operation'];
+
+/**
+ * Whether a request groups or filters by usage type or operation
+ */
+function readsUsageGrain({ dimension, usageType, operation }) {
+  return USAGE_DIMENSIONS.includes(dimension) || Boolean(usageType || operation);
+}
+
+/**
+ * Check the tagKey/tagValue and usage type/operation query parameters. Returns an error message, or null.
+ */
+function validateGrainQuery(query) {
+  const { tagKey, tagValue } = query;
+  if (tagValue && !tagKey) {
+    return 'tagValue requires tagKey';
+  }
+  if (tagKey && !getAggregateTagKeys().includes(tagKey)) {
+    return `Tag key ${tagKey} is not aggregated. Add it to AGGREGATE_TAG_KEYS.`;
+  }
+  if (tagKey && readsUsageGrain(query)) {
+    return 'Tag aggregates are not split by usage type or operation';
+  }
+  return null;
+}
+
+/**
+ * Query condition selecting the aggregates a request reads: the tag buckets of tagKey
+ * (optionally only one tagValue), the usage buckets when grouping or filtering by usage
+ * type or operation, or else the account/service/region buckets
+ */
+function grainCondition(query) {
+  const { tagKey, tagValue, usageType, operation } = query;
+  if (tagKey) {
+    return tagValue ? { tagKey, tagValue } : { tagKey };
+  }
+  if (readsUsageGrain(query)) {
+    return {
+      ...Aggregate.USAGE_GRAIN,
+      ...(usageType && { usageType }),
+      ...(operation && { operation })
+    };
+  }
+  return Aggregate.BASE_GRAIN;
+}
+
+module.exports = {
+  getAggregateTagKeys,
+  validateGrainQuery,
+  grainCondition
+};
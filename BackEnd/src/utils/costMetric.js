@@ -0,0 +1,61 @@
+// Cost measures (costMetric query parameter): the line item field each is read from, and the
+// aggregate field it is summed into. Unblended cost is the default 'cost'; line items and
+// buckets written before the other measures existed fall back to it.
+const COST_METRICS = {
+  unblended: { lineItemField: 'cost', aggregateField: 'totalCost' },
+  blended: { lineItemField: 'blendedCost', aggregateField: 'totalBlendedCost' },
+  amortized: { lineItemField: 'amortizedCost', aggregateField: 'totalAmortizedCost' },
+  netAmortized: { lineItemField: 'netAmortizedCost', aggregateField: 'totalNetAmortizedCost' }
+};
+
+const DEFAULT_COST_METRIC = 'unblended';
+
+/**
+ * Check the costMetric query parameter. Returns an error message, or null.
+ */
+function validateCostMetric({ costMetric }) {
+  if (costMetric && !COST_METRICS[costMetric]) {
+    return `costMetric must be one of: ${Object.keys(COST_METRICS).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Aggregation pipeline expression for a cost measure of line items
+ */
+function lineItemCostExpression(costMetric = DEFAULT_COST_METRIC) {
+  const { lineItemField } = COST_METRICS[costMetric];
+  return lineItemField === 'cost' ? '$cost' : { $ifNull: [`$${lineItemField}`, '$cost'] };
+}
+
+/**
+ * Aggregation pipeline expression for a cost measure of aggregates
+ */
+function aggregateCostExpression(costMetric = DEFAULT_COST_METRIC) {
+  const { aggregateField } = COST_METRICS[costMetric];
+  return aggregateField === 'totalCost' ? '$totalCost' : { $ifNull: [`$${aggregateField}`, '$totalCost'] };
+}
+
+/**
+ * A cost measure of a line item
+ */
+function lineItemCost(item, costMetric = DEFAULT_COST_METRIC) {
+  return item[COST_METRICS[costMetric].lineItemField] ?? item.cost ?? 0;
+}
+
+/**
+ * A cost measure of an aggregate
+ */
+function aggregateCost(aggregate, costMetric = DEFAULT_COST_METRIC) {
+  return aggregate[COST_METRICS[costMetric].aggregateField] ?? aggregate.totalCost ?? 0;
+}
+
+module.exports = {
+  COST_METRICS,
+  DEFAULT_COST_METRIC,
+  validateCostMetric,
+  lineItemCostExpression,
+  aggregateCostExpression,
+  lineItemCost,
+  aggregateCost
+};
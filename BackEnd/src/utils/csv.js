@@ -0,0 +1,11 @@
+/**
+ * Escape a value for a CSV cell
+ */
+function toCSVCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+module.exports = {
+  toCSVCell
+};
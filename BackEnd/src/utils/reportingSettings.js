@@ -0,0 +1,44 @@
+const User = require('../models/User');
+const { isValidTimeZone } = require('./timezone');
+
+/**
+ * Reporting timezone of users who have not picked one (REPORTING_TIMEZONE, default UTC)
+ */
+function getDefaultTimeZone() {
+  const timeZone = process.env.REPORTING_TIMEZONE;
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Reporting currency of users who have not picked one (REPORTING_CURRENCY, default USD)
+ */
+function getDefaultCurrency() {
+  const currency = (process.env.REPORTING_CURRENCY || '').toUpperCase();
+  return /^[A-Z]{3}$/.test(currency) ? currency : 'USD';
+}
+
+/**
+ * Reporting settings of a user, with defaults filled in
+ */
+function reportingSettings(user) {
+  return {
+    fiscalYearStartMonth: user?.reporting?.fiscalYearStartMonth || 1,
+    timezone: user?.reporting?.timezone || getDefaultTimeZone(),
+    currency: user?.reporting?.currency || getDefaultCurrency()
+  };
+}
+
+/**
+ * Load the reporting settings of a user by id
+ */
+async function getReportingSettings(userId) {
+  const user = userId ? await User.findById(userId).select('reporting').lean() : null;
+  return reportingSettings(user);
+}
+
+module.exports = {
+  getDefaultTimeZone,
+  getDefaultCurrency,
+  reportingSettings,
+  getReportingSettings
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// Encrypted values are stored as 'enc:v1:<iv>:<auth tag>:<ciphertext>' (base64 parts)
+const PREFIX = 'enc:v1:';
+
+/**
+ * AES-256 key from SECRET_ENCRYPTION_KEY, falling back to JWT_SECRET
+ */
+function getKey() {
+  const secret = process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key';
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ */
+function encryptSecret(value) {
+  if (!value || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored secret. Values stored before encryption are returned as they are.
+ */
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret
+};
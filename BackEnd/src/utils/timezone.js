@@ -0,0 +1,160 @@
+// Calendar dates in date-range query parameters, e.g. startDate=2024-03-01
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA timezone name this runtime knows, e.g. 'Asia/Kolkata'
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone. month is 0-11 and weekday 0 (Sunday) to 6.
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return Date.UTC(year, month, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant a wall-clock time happens in a timezone. Like Date.UTC, month (0-11) and day may
+ * overflow into the next month or year.
+ */
+function zonedTime(timeZone, year, month, day = 1, hour = 0, minute = 0) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  // The offset at the first guess may differ from the one at the result across a DST change
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Start of the day an instant falls in, in a timezone
+ */
+function startOfDay(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return zonedTime(timeZone, year, month, day);
+}
+
+/**
+ * Start of the hour an instant falls in, in a timezone (not always on the UTC hour, e.g. in India)
+ */
+function startOfHour(date, timeZone) {
+  const { year, month, day, hour } = zonedParts(date, timeZone);
+  return zonedTime(timeZone, year, month, day, hour);
+}
+
+/**
+ * Move an instant by calendar days or months in a timezone, keeping its wall-clock time
+ */
+function addDays(date, amount, timeZone) {
+  const { year, month, day, hour, minute } = zonedParts(date, timeZone);
+  return zonedTime(timeZone, year, month, day + amount, hour, minute);
+}
+
+function addMonths(date, amount, timeZone) {
+  const { year, month, day, hour, minute } = zonedParts(date, timeZone);
+  return zonedTime(timeZone, year, month + amount, day, hour, minute);
+}
+
+/**
+ * 'YYYY-MM-DD' day of an instant in a timezone
+ */
+function toZonedDay(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Start of a 'YYYY-MM-DD' day in a timezone
+ */
+function dayStart(day, timeZone) {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  return zonedTime(timeZone, year, month - 1, dayOfMonth);
+}
+
+/**
+ * Parse a date query parameter: a 'YYYY-MM-DD' day starts at midnight in the timezone,
+ * anything else (e.g. an ISO timestamp) is taken as it is
+ */
+function parseDateParam(value, timeZone) {
+  return DAY_PATTERN.test(value) ? dayStart(value, timeZone) : new Date(value);
+}
+
+/**
+ * Date filter for the startDate and endDate query parameters, or null without either.
+ * An endDate given as a 'YYYY-MM-DD' day includes the whole day.
+ */
+function dateRangeFilter({ startDate, endDate }, timeZone) {
+  if (!startDate && !endDate) return null;
+
+  const filter = {};
+  if (startDate) filter.$gte = parseDateParam(startDate, timeZone);
+  if (endDate) {
+    if (DAY_PATTERN.test(endDate)) {
+      filter.$lt = addDays(dayStart(endDate, timeZone), 1, timeZone);
+    } else {
+      filter.$lte = new Date(endDate);
+    }
+  }
+  return filter;
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedParts,
+  zonedTime,
+  startOfDay,
+  startOfHour,
+  addDays,
+  addMonths,
+  toZonedDay,
+  dayStart,
+  parseDateParam,
+  dateRangeFilter
+};
@@ -1,4 +1,9 @@
 const { body, validationResult } = require('express-validator');
+const MappingProfile = require('../models/MappingProfile');
+const { isValidTimeZone } = require('./timezone');
+
+// Currency codes are stored upper-case
+const toUpperCase = value => String(value).toUpperCase();
 
 /**
  * Handle validation errors
@@ -43,9 +48,129 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Column mapping profile validation
+ */
+const validateMappingProfile = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('costColumn')
+    .trim()
+    .notEmpty()
+    .withMessage('Cost column is required'),
+  body('provider')
+    .optional()
+    .isIn(['aws', 'azure', 'gcp', 'other'])
+    .withMessage('Provider must be aws, azure, gcp or other'),
+  body('columns')
+    .optional()
+    .isArray()
+    .withMessage('Columns must be an array of { source, field } pairs'),
+  body('columns.*.source')
+    .isString()
+    .notEmpty()
+    .withMessage('Each column needs a source column name'),
+  body('columns.*.field')
+    .isIn(MappingProfile.MAPPABLE_FIELDS)
+    .withMessage(`Each column field must be one of: ${MappingProfile.MAPPABLE_FIELDS.join(', ')}`),
+  body('dateFormat')
+    .optional({ values: 'falsy' })
+    .matches(/YYYY/)
+    .withMessage('Date format must contain at least YYYY, e.g. DD/MM/YYYY'),
+  body('decimalSeparator')
+    .optional()
+    .isIn(['.', ','])
+    .withMessage("Decimal separator must be '.' or ','"),
+  body('tagPrefix')
+    .optional()
+    .isString(),
+  handleValidationErrors
+];
+
+/**
+ * Bucket source validation
+ */
+const validateBucketSource = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('bucket')
+    .trim()
+    .notEmpty()
+    .withMessage('Bucket is required'),
+  body('endpoint')
+    .optional({ values: 'falsy' })
+    .isURL({ require_tld: false, require_protocol: true })
+    .withMessage('Endpoint must be a URL, e.g. http://localhost:9000'),
+  body('prefix')
+    .optional()
+    .isString(),
+  body('duplicateMode')
+    .optional()
+    .isIn(['skip', 'replace', 'version', 'period'])
+    .withMessage('Duplicate mode must be skip, replace, version or period'),
+  body('forcePathStyle')
+    .optional()
+    .isBoolean(),
+  body('enabled')
+    .optional()
+    .isBoolean(),
+  handleValidationErrors
+];
+
+/**
+ * Reporting settings validation
+ */
+const validateReportingSettings = [
+  body('fiscalYearStartMonth')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Fiscal year start month must be a month number from 1 to 12')
+    .toInt(),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA timezone name, e.g. Europe/Berlin'),
+  body('currency')
+    .optional()
+    .customSanitizer(toUpperCase)
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code, e.g. EUR'),
+  handleValidationErrors
+];
+
+/**
+ * Exchange rate validation
+ */
+const validateExchangeRate = [
+  body('currency')
+    .customSanitizer(toUpperCase)
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code, e.g. EUR'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+    .toFloat(),
+  body('date')
+    .isISO8601({ strict: true })
+    .withMessage('Date must be a date, e.g. 2024-03-01'),
+  body('period')
+    .optional()
+    .isIn(['daily', 'monthly'])
+    .withMessage('Period must be daily or monthly'),
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateUserRegistration,
-  validateUserLogin
+  validateUserLogin,
+  validateMappingProfile,
+  validateBucketSource,
+  validateReportingSettings,
+  validateExchangeRate
 };
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const winston = require('winston');
+
+// Load environment variables
+dotenv.config();
+
+const queueService = require('./services/queueService');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Ingestion worker process. Started by server.js (INGESTION_WORKERS) or on its own with `npm run worker`.
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cost-analyzer')
+.then(() => {
+  logger.info('Worker connected to MongoDB');
+  const worker = queueService.startWorker();
+
+  const shutdown = async (signal) => {
+    logger.info(`Worker received ${signal}, shutting down`);
+    try {
+      await worker.stop();
+      await mongoose.disconnect();
+    } finally {
+      process.exit(0);
+    }
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+})
+.catch((err) => {
+  logger.error('Worker MongoDB connection error:', err);
+  process.exit(1);
+});
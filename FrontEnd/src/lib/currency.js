@@ -0,0 +1,20 @@
+// Aggregated costs are in the user's reporting currency; line items keep the currency they
+// were billed in (currencyCode)
+export function formatCurrency(value, currency, options = {}) {
+  return new Intl.NumberFormat([], { style: 'currency', currency: currency || 'USD', ...options }).format(value || 0);
+}
+
+// Chart.js options showing dataset values as amounts of a currency in tooltips
+export function currencyChartOptions(currency) {
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.raw, currency)}`
+        }
+      }
+    }
+  };
+}
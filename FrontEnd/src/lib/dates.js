@@ -0,0 +1,14 @@
+// Dates picked in the UI are sent as calendar days ('YYYY-MM-DD'); the API reads them as
+// whole days in the user's reporting timezone
+export function toDateParam(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function formatDate(value, timeZone) {
+  return new Date(value).toLocaleDateString([], { timeZone });
+}
+
+export function formatDateTime(value, timeZone, options = {}) {
+  return new Date(value).toLocaleString([], { timeZone, ...options });
+}
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { toDateParam, formatDate } from '../lib/dates';
 import { toast } from 'react-toastify';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
@@ -13,6 +15,8 @@ import { AlertTriangle, CheckCircle2, RotateCcw } from 'lucide-react';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
 
 const Anomalies = () => {
+  const { user } = useAuth();
+  const timeZone = user?.reporting?.timezone;
   const [anomalies, setAnomalies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
@@ -31,8 +35,8 @@ const Anomalies = () => {
     try {
       setLoading(true);
       const params = { limit: 50 };
-      if (filters.startDate) params.startDate = filters.startDate.toISOString();
-      if (filters.endDate) params.endDate = filters.endDate.toISOString();
+      if (filters.startDate) params.startDate = toDateParam(filters.startDate);
+      if (filters.endDate) params.endDate = toDateParam(filters.endDate);
       if (filters.severity) params.severity = filters.severity;
       if (filters.acknowledged) params.acknowledged = filters.acknowledged;
 
@@ -253,7 +257,7 @@ const Anomalies = () => {
               <TableBody>
                 {anomalies.map((anomaly) => (
                   <TableRow key={anomaly._id}>
-                    <TableCell>{new Date(anomaly.date).toLocaleDateString()}</TableCell>
+                    <TableCell>{formatDate(anomaly.date, timeZone)}</TableCell>
                     <TableCell className="font-medium">{anomaly.type}</TableCell>
                     <TableCell>
                       <Badge variant={getSeverityVariant(anomaly.severity)}>
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { formatCurrency } from '../lib/currency';
+import { toDateParam, formatDate } from '../lib/dates';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
@@ -11,11 +14,14 @@ import { Download, Filter, RotateCcw } from 'lucide-react';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
 
 const Breakdown = () => {
+  const { user } = useAuth();
+  const timeZone = user?.reporting?.timezone;
   const [lineItems, setLineItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
     startDate: null,
     endDate: null,
+    provider: '',
     accountId: '',
     service: '',
     region: '',
@@ -36,8 +42,9 @@ const Breakdown = () => {
         page: filters.page,
         limit: filters.limit
       };
-      if (filters.startDate) params.startDate = filters.startDate.toISOString();
-      if (filters.endDate) params.endDate = filters.endDate.toISOString();
+      if (filters.startDate) params.startDate = toDateParam(filters.startDate);
+      if (filters.endDate) params.endDate = toDateParam(filters.endDate);
+      if (filters.provider) params.provider = filters.provider;
       if (filters.accountId) params.accountId = filters.accountId;
       if (filters.service) params.service = filters.service;
       if (filters.region) params.region = filters.region;
@@ -63,13 +70,15 @@ const Breakdown = () => {
   };
 
   const exportCSV = () => {
-    const headers = ['Date', 'Account', 'Service', 'Region', 'Cost', 'Usage'];
+    const headers = ['Date', 'Provider', 'Account', 'Service', 'Region', 'Cost', 'Currency', 'Usage'];
     const rows = lineItems.map(item => [
-      new Date(item.usageStartDate).toLocaleDateString(),
+      formatDate(item.usageStartDate, timeZone),
+      item.provider || 'aws',
       item.accountId,
       item.service,
       item.region,
       item.cost.toFixed(2),
+      item.currencyCode || 'USD',
       item.usageQuantityNormalized || 0
     ]);
 
@@ -82,6 +91,27 @@ const Breakdown = () => {
     a.click();
   };
 
+  const exportFOCUS = async () => {
+    try {
+      const params = { format: 'csv' };
+      if (filters.startDate) params.startDate = toDateParam(filters.startDate);
+      if (filters.endDate) params.endDate = toDateParam(filters.endDate);
+      if (filters.provider) params.provider = filters.provider;
+      if (filters.accountId) params.accountId = filters.accountId;
+      if (filters.service) params.service = filters.service;
+      if (filters.region) params.region = filters.region;
+
+      const response = await api.get('/api/breakdown/focus', { params, responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `focus-export-${Date.now()}.csv`;
+      a.click();
+    } catch (error) {
+      console.error('Error exporting FOCUS data:', error);
+    }
+  };
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -89,10 +119,16 @@ const Breakdown = () => {
           <h1 className="text-3xl font-bold tracking-tight">Cost Breakdown</h1>
           <p className="text-muted-foreground">Detailed line item analysis</p>
         </div>
-        <Button onClick={exportCSV} className="gap-2">
-          <Download className="h-4 w-4" />
-          Export CSV
-        </Button>
+        <div className="flex gap-2">
+          <Button onClick={exportCSV} className="gap-2">
+            <Download className="h-4 w-4" />
+            Export CSV
+          </Button>
+          <Button variant="outline" onClick={exportFOCUS} className="gap-2">
+            <Download className="h-4 w-4" />
+            Export FOCUS
+          </Button>
+        </div>
       </div>
 
       <Card>
@@ -103,7 +139,7 @@ const Breakdown = () => {
           </CardTitle>
         </CardHeader>
         <CardContent>
-          <div className="grid gap-4 md:grid-cols-3 lg:grid-cols-5">
+          <div className="grid gap-4 md:grid-cols-3 lg:grid-cols-6">
             <div className="space-y-2">
               <label className="text-sm font-medium">Start Date</label>
               <DatePicker
@@ -126,6 +162,19 @@ const Breakdown = () => {
                 placeholderText="All dates"
               />
             </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Provider</label>
+              <select
+                value={filters.provider}
+                onChange={(e) => handleFilterChange('provider', e.target.value)}
+                className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              >
+                <option value="">All providers</option>
+                <option value="aws">AWS</option>
+                <option value="azure">Azure</option>
+                <option value="gcp">GCP</option>
+              </select>
+            </div>
             <div className="space-y-2">
               <label className="text-sm font-medium">Account ID</label>
               <Input
@@ -175,7 +224,7 @@ const Breakdown = () => {
                 <DialogHeader>
                   <DialogTitle>Reset All Filters</DialogTitle>
                   <DialogDescription>
-                    Are you sure you want to reset all filters? This will clear all date, account, service, and region filters and show all available data.
+                    Are you sure you want to reset all filters? This will clear all date, provider, account, service, and region filters and show all available data.
                   </DialogDescription>
                 </DialogHeader>
                 <DialogFooter>
@@ -191,6 +240,7 @@ const Breakdown = () => {
                       setFilters({
                         startDate: null,
                         endDate: null,
+                        provider: '',
                         accountId: '',
                         service: '',
                         region: '',
@@ -234,6 +284,7 @@ const Breakdown = () => {
                   <TableHeader>
                     <TableRow>
                       <TableHead>Date</TableHead>
+                      <TableHead>Provider</TableHead>
                       <TableHead>Invoice ID</TableHead>
                       <TableHead>Account</TableHead>
                       <TableHead>Product Name</TableHead>
@@ -258,8 +309,9 @@ const Breakdown = () => {
                     {lineItems.map((item) => (
                       <TableRow key={item._id}>
                         <TableCell className="whitespace-nowrap">
-                          {item.usageStartDate ? new Date(item.usageStartDate).toLocaleDateString() : 'N/A'}
+                          {item.usageStartDate ? formatDate(item.usageStartDate, timeZone) : 'N/A'}
                         </TableCell>
+                        <TableCell className="uppercase text-xs">{item.provider || 'aws'}</TableCell>
                         <TableCell className="text-muted-foreground text-xs">{item.invoiceId || 'N/A'}</TableCell>
                         <TableCell className="font-medium">{item.accountId || 'N/A'}</TableCell>
                         <TableCell>{item.productName || item.service || 'N/A'}</TableCell>
@@ -270,11 +322,11 @@ const Breakdown = () => {
                         <TableCell>{item.region || 'N/A'}</TableCell>
                         <TableCell className="text-muted-foreground text-xs">{item.availabilityZone || 'N/A'}</TableCell>
                         <TableCell className="text-right">{item.usageQuantityNormalized || item.usageQuantity || 0}</TableCell>
-                        <TableCell className="text-right text-muted-foreground">${(item.blendedRate || 0).toFixed(4)}</TableCell>
-                        <TableCell className="text-right text-muted-foreground">${(item.blendedCost || 0).toFixed(2)}</TableCell>
-                        <TableCell className="text-right text-muted-foreground">${(item.unblendedRate || 0).toFixed(4)}</TableCell>
-                        <TableCell className="text-right text-muted-foreground">${(item.unblendedCost || 0).toFixed(2)}</TableCell>
-                        <TableCell className="text-right font-medium">${(item.cost || 0).toFixed(2)}</TableCell>
+                        <TableCell className="text-right text-muted-foreground">{formatCurrency(item.blendedRate, item.currencyCode, { minimumFractionDigits: 4, maximumFractionDigits: 4 })}</TableCell>
+                        <TableCell className="text-right text-muted-foreground">{formatCurrency(item.blendedCost, item.currencyCode)}</TableCell>
+                        <TableCell className="text-right text-muted-foreground">{formatCurrency(item.unblendedRate, item.currencyCode, { minimumFractionDigits: 4, maximumFractionDigits: 4 })}</TableCell>
+                        <TableCell className="text-right text-muted-foreground">{formatCurrency(item.unblendedCost, item.currencyCode)}</TableCell>
+                        <TableCell className="text-right font-medium">{formatCurrency(item.cost, item.currencyCode)}</TableCell>
                         <TableCell className="text-muted-foreground text-xs font-mono">{item.resourceId || 'N/A'}</TableCell>
                         <TableCell className="text-muted-foreground text-xs max-w-xs truncate" title={item.itemDescription}>
                           {item.itemDescription || 'N/A'}
@@ -13,6 +13,9 @@ import {
   Legend
 } from 'chart.js';
 import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { formatCurrency, currencyChartOptions } from '../lib/currency';
+import { toDateParam, formatDate, formatDateTime } from '../lib/dates';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
@@ -34,6 +37,9 @@ ChartJS.register(
 );
 
 const Dashboard = () => {
+  const { user } = useAuth();
+  const timeZone = user?.reporting?.timezone;
+  const currency = user?.reporting?.currency || 'USD';
   const [summary, setSummary] = useState(null);
   const [trends, setTrends] = useState(null);
   const [topServices, setTopServices] = useState([]);
@@ -42,10 +48,11 @@ const Dashboard = () => {
   const [startDate, setStartDate] = useState(null);
   const [endDate, setEndDate] = useState(null);
   const [showResetDialog, setShowResetDialog] = useState(false);
+  const [trendPeriod, setTrendPeriod] = useState('daily');
 
   useEffect(() => {
     fetchDashboardData();
-  }, [startDate, endDate]);
+  }, [startDate, endDate, trendPeriod]);
 
   const fetchDashboardData = async () => {
     try {
@@ -53,15 +60,15 @@ const Dashboard = () => {
       const params = {
         _t: Date.now() // Cache busting
       };
-      if (startDate) params.startDate = startDate.toISOString();
-      if (endDate) params.endDate = endDate.toISOString();
+      if (startDate) params.startDate = toDateParam(startDate);
+      if (endDate) params.endDate = toDateParam(endDate);
 
       const [summaryRes, trendsRes, servicesRes, accountsRes] = await Promise.all([
         api.get('/api/summary', { params }),
         api.get('/api/breakdown/trends', {
           params: {
             ...params,
-            period: 'daily'
+            period: trendPeriod
           }
         }),
         api.get('/api/summary/top-services', {
@@ -112,10 +119,12 @@ const Dashboard = () => {
   }
 
   const trendsData = {
-    labels: trends?.map(t => new Date(t.date).toLocaleDateString()) || [],
+    labels: trends?.map(t => trendPeriod === 'hourly'
+      ? formatDateTime(t.date, timeZone, { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+      : formatDate(t.date, timeZone)) || [],
     datasets: [
       {
-        label: 'Daily Cost',
+        label: trendPeriod === 'hourly' ? 'Hourly Cost' : 'Daily Cost',
         data: trends?.map(t => t.totalCost) || [],
         borderColor: 'hsl(var(--primary))',
         backgroundColor: 'hsl(var(--primary) / 0.1)',
@@ -234,7 +243,7 @@ const Dashboard = () => {
               <DollarSign className="h-4 w-4 text-muted-foreground" />
             </CardHeader>
             <CardContent>
-              <div className="text-2xl font-bold">${(summary.totals.totalCost || 0).toFixed(2)}</div>
+              <div className="text-2xl font-bold">{formatCurrency(summary.totals.totalCost, summary.currency || currency)}</div>
               <p className="text-xs text-muted-foreground">Across all services</p>
             </CardContent>
           </Card>
@@ -269,13 +278,33 @@ const Dashboard = () => {
 
       <div className="grid gap-4 md:grid-cols-2">
         <Card>
-          <CardHeader>
-            <CardTitle>Cost Trends</CardTitle>
-            <CardDescription>Daily cost over time</CardDescription>
+          <CardHeader className="flex flex-row items-start justify-between space-y-0">
+            <div className="space-y-1.5">
+              <CardTitle>Cost Trends</CardTitle>
+              <CardDescription>
+                {trendPeriod === 'hourly' ? 'Hourly cost over recent days' : 'Daily cost over time'}
+              </CardDescription>
+            </div>
+            <div className="flex gap-1">
+              <Button
+                size="sm"
+                variant={trendPeriod === 'daily' ? 'default' : 'outline'}
+                onClick={() => setTrendPeriod('daily')}
+              >
+                Daily
+              </Button>
+              <Button
+                size="sm"
+                variant={trendPeriod === 'hourly' ? 'default' : 'outline'}
+                onClick={() => setTrendPeriod('hourly')}
+              >
+                Hourly
+              </Button>
+            </div>
           </CardHeader>
           <CardContent>
             {trends && trends.length > 0 ? (
-              <Line data={trendsData} options={{ responsive: true, maintainAspectRatio: false }} />
+              <Line data={trendsData} options={currencyChartOptions(currency)} />
             ) : (
               <div className="flex items-center justify-center h-64 text-muted-foreground">
                 No trend data available
@@ -291,7 +320,7 @@ const Dashboard = () => {
           </CardHeader>
           <CardContent>
             {topServices.length > 0 ? (
-              <Doughnut data={servicesData} options={{ responsive: true, maintainAspectRatio: false }} />
+              <Doughnut data={servicesData} options={currencyChartOptions(currency)} />
             ) : (
               <div className="flex items-center justify-center h-64 text-muted-foreground">
                 No service data available
@@ -308,7 +337,7 @@ const Dashboard = () => {
             <CardDescription>By cost</CardDescription>
           </CardHeader>
           <CardContent>
-            <Bar data={accountsData} options={{ responsive: true, maintainAspectRatio: false }} />
+            <Bar data={accountsData} options={currencyChartOptions(currency)} />
           </CardContent>
         </Card>
       )}
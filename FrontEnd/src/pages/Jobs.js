@@ -1,12 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import api from '../services/api';
+import { subscribeToJobEvents, describeProgress, progressFraction } from '../services/jobEvents';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
 import { Skeleton } from '../components/ui/skeleton';
-import { FileText, Eye, Clock, CheckCircle2, XCircle, AlertCircle } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { toast } from 'react-toastify';
+import { FileText, Eye, Clock, CheckCircle2, XCircle, AlertCircle, Trash2, Ban, Download, Upload as UploadIcon } from 'lucide-react';
+
+const JOB_SOURCE_LABELS = {
+  upload: 'Upload',
+  dropFolder: 'Drop folder',
+  s3: 'S3 bucket'
+};
 
 const Jobs = () => {
   const { id } = useParams();
@@ -15,6 +24,12 @@ const Jobs = () => {
   const [jobDetails, setJobDetails] = useState(null);
   const [loading, setLoading] = useState(true);
   const [page, setPage] = useState(1);
+  const [jobToDelete, setJobToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [jobToCancel, setJobToCancel] = useState(null);
+  const [rollbackOnCancel, setRollbackOnCancel] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [resubmitting, setResubmitting] = useState(false);
 
   useEffect(() => {
     if (id) {
@@ -24,6 +39,21 @@ const Jobs = () => {
     }
   }, [id, page]);
 
+  const isRunning = jobDetails?.status === 'pending' || jobDetails?.status === 'processing';
+
+  // Follow a queued or running job live until it finishes
+  useEffect(() => {
+    if (!id || !isRunning) return undefined;
+
+    return subscribeToJobEvents(id, {
+      onProgress: (update) => {
+        setJobDetails((current) => current && { ...current, ...update });
+      },
+      onComplete: () => fetchJobDetails(id, { silent: true }),
+      onError: (error) => toast.error(`Could not follow job progress: ${error.message}`)
+    });
+  }, [id, isRunning]);
+
   const fetchJobs = async () => {
     try {
       setLoading(true);
@@ -39,9 +69,9 @@ const Jobs = () => {
     }
   };
 
-  const fetchJobDetails = async (jobId) => {
+  const fetchJobDetails = async (jobId, { silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const response = await api.get(`/api/job/${jobId}`);
       setJobDetails(response.data);
     } catch (error) {
@@ -51,13 +81,155 @@ const Jobs = () => {
     }
   };
 
+  const handleDeleteJob = async () => {
+    try {
+      setDeleting(true);
+      const response = await api.delete(`/api/job/${jobToDelete._id}`);
+      const { lineItems, restored } = response.data.deleted;
+      toast.success(
+        `Deleted ${jobToDelete.fileName}: ${lineItems} line items removed` +
+        (restored > 0 ? `, ${restored} previous versions restored` : '')
+      );
+      setJobToDelete(null);
+      if (id) {
+        navigate('/jobs');
+      } else {
+        fetchJobs();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete job');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleDownloadRejects = async () => {
+    try {
+      const response = await api.get(`/api/job/${jobDetails._id}/rejects.csv`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${jobDetails.fileName.replace(/\.[^.]+$/, '')}-rejects.csv`;
+      a.click();
+    } catch (error) {
+      toast.error('Failed to download rejected rows');
+    }
+  };
+
+  // Upload the fixed rejects file as a follow-up job of this one
+  const handleResubmitRejects = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('parentJobId', jobDetails._id);
+    formData.append('file', file);
+
+    try {
+      setResubmitting(true);
+      const response = await api.post('/api/upload', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      toast.success('Fixed rows submitted as a follow-up job');
+      navigate(`/jobs/${response.data.job.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to re-submit rows');
+    } finally {
+      setResubmitting(false);
+    }
+  };
+
+  const handleCancelJob = async () => {
+    try {
+      setCancelling(true);
+      const response = await api.post(`/api/job/${jobToCancel._id}/cancel`, { rollback: rollbackOnCancel });
+      toast.success(response.data.message);
+      setJobToCancel(null);
+      if (id) {
+        fetchJobDetails(id);
+      } else {
+        fetchJobs();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel job');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const openCancelDialog = (job) => {
+    setRollbackOnCancel(false);
+    setJobToCancel(job);
+  };
+
+  // Aggregate rebuilds can only be cancelled before a worker picks them up
+  const isCancellable = (job) =>
+    (job.status === 'pending' || (job.status === 'processing' && job.type !== 'reaggregate'))
+    && !job.cancelRequestedAt;
+
+  const cancelDialog = (
+    <Dialog open={!!jobToCancel} onOpenChange={(open) => !open && setJobToCancel(null)}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Cancel Job</DialogTitle>
+          <DialogDescription>
+            Stop ingesting {jobToCancel?.fileName}? A running job stops after the batch it is writing.
+            Rows committed until then are kept unless you roll them back.
+          </DialogDescription>
+        </DialogHeader>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={rollbackOnCancel}
+            onChange={(e) => setRollbackOnCancel(e.target.checked)}
+          />
+          Roll back rows this job has already committed
+        </label>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => setJobToCancel(null)} disabled={cancelling}>
+            Keep Running
+          </Button>
+          <Button variant="destructive" onClick={handleCancelJob} disabled={cancelling}>
+            {cancelling ? 'Cancelling...' : 'Cancel Job'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+
+  const deleteDialog = (
+    <Dialog open={!!jobToDelete} onOpenChange={(open) => !open && setJobToDelete(null)}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Delete Job</DialogTitle>
+          <DialogDescription>
+            Delete {jobToDelete?.fileName} and all billing data it ingested? Aggregates for the affected
+            dates are recomputed and anomalies or recommendations based only on this data are removed.
+          </DialogDescription>
+        </DialogHeader>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => setJobToDelete(null)} disabled={deleting}>
+            Cancel
+          </Button>
+          <Button variant="destructive" onClick={handleDeleteJob} disabled={deleting}>
+            {deleting ? 'Deleting...' : 'Delete Job'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+
   const getStatusBadge = (status) => {
     const badges = {
       pending: { variant: 'warning', icon: Clock },
       processing: { variant: 'info', icon: Clock },
       completed: { variant: 'success', icon: CheckCircle2 },
       failed: { variant: 'destructive', icon: XCircle },
-      partial: { variant: 'warning', icon: AlertCircle }
+      partial: { variant: 'warning', icon: AlertCircle },
+      cancelled: { variant: 'secondary', icon: Ban }
     };
     return badges[status] || { variant: 'default', icon: FileText };
   };
@@ -73,10 +245,29 @@ const Jobs = () => {
             <h1 className="text-3xl font-bold tracking-tight">Job Details</h1>
             <p className="text-muted-foreground">Ingestion job information</p>
           </div>
-          <Button variant="outline" onClick={() => navigate('/jobs')}>
-            Back to Jobs
-          </Button>
+          <div className="flex gap-2">
+            {isCancellable(jobDetails) && (
+              <Button variant="outline" onClick={() => openCancelDialog(jobDetails)} className="gap-2">
+                <Ban className="h-4 w-4" />
+                Cancel
+              </Button>
+            )}
+            <Button
+              variant="destructive"
+              onClick={() => setJobToDelete(jobDetails)}
+              disabled={jobDetails.status === 'processing'}
+              className="gap-2"
+            >
+              <Trash2 className="h-4 w-4" />
+              Delete
+            </Button>
+            <Button variant="outline" onClick={() => navigate('/jobs')}>
+              Back to Jobs
+            </Button>
+          </div>
         </div>
+        {deleteDialog}
+        {cancelDialog}
 
         <Card>
           <CardHeader>
@@ -97,8 +288,35 @@ const Jobs = () => {
                     <StatusIcon className="h-3 w-3" />
                     {jobDetails.status}
                   </Badge>
+                  {jobDetails.status === 'processing' && jobDetails.cancelRequestedAt && (
+                    <span className="ml-2 text-xs text-muted-foreground">Cancelling...</span>
+                  )}
                 </div>
               </div>
+              {jobDetails.progress?.phase && (
+                <div className="space-y-1 md:col-span-2">
+                  <label className="text-sm font-medium text-muted-foreground">Progress</label>
+                  <div className="text-sm font-medium">{describeProgress(jobDetails.progress)}</div>
+                  {isRunning && progressFraction(jobDetails.progress) !== null && (
+                    <div className="h-2 w-full overflow-hidden rounded-full bg-secondary">
+                      <div
+                        className="h-full bg-primary transition-all"
+                        style={{ width: `${Math.round(progressFraction(jobDetails.progress) * 100)}%` }}
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+              {jobDetails.status === 'cancelled' && (
+                <div className="space-y-1">
+                  <label className="text-sm font-medium text-muted-foreground">Cancellation</label>
+                  <div className="text-sm font-medium">
+                    {jobDetails.rollbackOnCancel
+                      ? `${jobDetails.rowsRolledBack || 0} committed rows rolled back`
+                      : `${jobDetails.rowsProcessed || 0} committed rows kept`}
+                  </div>
+                </div>
+              )}
               <div className="space-y-1">
                 <label className="text-sm font-medium text-muted-foreground">Rows Processed</label>
                 <div className="text-sm font-medium">
@@ -109,6 +327,34 @@ const Jobs = () => {
                 <label className="text-sm font-medium text-muted-foreground">Rows Skipped</label>
                 <div className="text-sm font-medium">{jobDetails.rowsSkipped || 0}</div>
               </div>
+              <div className="space-y-1">
+                <label className="text-sm font-medium text-muted-foreground">Already Ingested Rows</label>
+                <div className="text-sm font-medium">
+                  {jobDetails.duplicateMode === 'skip' || !jobDetails.duplicateMode
+                    ? `${jobDetails.rowsDuplicate || 0} skipped`
+                    : `${jobDetails.rowsReplaced || 0} ${jobDetails.duplicateMode === 'version' ? 'versioned' : 'replaced'}`}
+                  {jobDetails.duplicateMode === 'period' && `, ${jobDetails.rowsSuperseded || 0} superseded`}
+                </div>
+              </div>
+              <div className="space-y-1">
+                <label className="text-sm font-medium text-muted-foreground">Billing Period</label>
+                <div className="text-sm font-medium">
+                  {jobDetails.metadata?.billingPeriod || 'N/A'}
+                  {jobDetails.metadata?.accountId && ` (${jobDetails.metadata.accountId})`}
+                </div>
+              </div>
+              <div className="space-y-1">
+                <label className="text-sm font-medium text-muted-foreground">Source</label>
+                <div className="text-sm font-medium">
+                  {jobDetails.type === 'reaggregate'
+                    ? 'Aggregate rebuild'
+                    : JOB_SOURCE_LABELS[jobDetails.source] || 'Upload'}
+                </div>
+              </div>
+              <div className="space-y-1">
+                <label className="text-sm font-medium text-muted-foreground">Attempts</label>
+                <div className="text-sm font-medium">{jobDetails.attempts || 0}</div>
+              </div>
               <div className="space-y-1">
                 <label className="text-sm font-medium text-muted-foreground">Duration</label>
                 <div className="text-sm font-medium">
@@ -135,6 +381,47 @@ const Jobs = () => {
               </div>
             </div>
 
+            {jobDetails.parentJobId && (
+              <p className="text-sm text-muted-foreground">
+                Re-submits fixed rows rejected by{' '}
+                <Button variant="link" className="h-auto p-0" onClick={() => navigate(`/jobs/${jobDetails.parentJobId}`)}>
+                  job {jobDetails.parentJobId}
+                </Button>
+              </p>
+            )}
+
+            {jobDetails.rowsSkipped > 0 && !isRunning && (
+              <div className="mt-6 space-y-2">
+                <h3 className="text-lg font-semibold">Rejected Rows ({jobDetails.rowsSkipped})</h3>
+                <p className="text-sm text-muted-foreground">
+                  Download the rejected rows with the reason for each, fix them and re-submit the file.
+                  Only those rows are ingested, as a follow-up job with this job's settings.
+                </p>
+                <div className="flex gap-2">
+                  <Button variant="outline" onClick={handleDownloadRejects} className="gap-2">
+                    <Download className="h-4 w-4" />
+                    Download rejects.csv
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() => document.getElementById('resubmit-input').click()}
+                    disabled={resubmitting}
+                    className="gap-2"
+                  >
+                    <UploadIcon className="h-4 w-4" />
+                    {resubmitting ? 'Submitting...' : 'Re-submit Fixed Rows'}
+                  </Button>
+                  <input
+                    id="resubmit-input"
+                    type="file"
+                    accept=".csv"
+                    onChange={handleResubmitRejects}
+                    className="hidden"
+                  />
+                </div>
+              </div>
+            )}
+
             {jobDetails.errors && jobDetails.errors.length > 0 && (
               <div className="mt-6">
                 <h3 className="text-lg font-semibold mb-4">
@@ -168,6 +455,8 @@ const Jobs = () => {
         <h1 className="text-3xl font-bold tracking-tight">Ingestion Jobs</h1>
         <p className="text-muted-foreground">History of billing data uploads</p>
       </div>
+      {deleteDialog}
+      {cancelDialog}
 
       <Card>
         <CardHeader>
@@ -212,6 +501,9 @@ const Jobs = () => {
                           <StatusIcon className="h-3 w-3" />
                           {job.status}
                         </Badge>
+                        {job.status === 'processing' && (
+                          <div className="mt-1 text-xs text-muted-foreground">{describeProgress(job.progress)}</div>
+                        )}
                       </TableCell>
                       <TableCell>
                         {job.rowsProcessed || 0} / {job.rowsTotal || 'N/A'}
@@ -223,15 +515,38 @@ const Jobs = () => {
                       </TableCell>
                       <TableCell>{new Date(job.createdAt).toLocaleString()}</TableCell>
                       <TableCell>
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => navigate(`/jobs/${job._id}`)}
-                          className="gap-2"
-                        >
-                          <Eye className="h-4 w-4" />
-                          View Details
-                        </Button>
+                        <div className="flex gap-2">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => navigate(`/jobs/${job._id}`)}
+                            className="gap-2"
+                          >
+                            <Eye className="h-4 w-4" />
+                            View Details
+                          </Button>
+                          {isCancellable(job) && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => openCancelDialog(job)}
+                              className="gap-2"
+                            >
+                              <Ban className="h-4 w-4" />
+                              Cancel
+                            </Button>
+                          )}
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setJobToDelete(job)}
+                            disabled={job.status === 'processing'}
+                            className="gap-2 text-destructive"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                            Delete
+                          </Button>
+                        </div>
                       </TableCell>
                     </TableRow>
                   );
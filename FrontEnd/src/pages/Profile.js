@@ -7,17 +7,32 @@ import { Label } from '../components/ui/label';
 import { Badge } from '../components/ui/badge';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
 import { Skeleton } from '../components/ui/skeleton';
-import { User, Mail, Shield, AlertTriangle, RotateCcw, Trash2, Database, FileText, AlertCircle, Lightbulb, Briefcase, DollarSign, TrendingUp, Calendar } from 'lucide-react';
+import { User, Mail, Shield, AlertTriangle, RotateCcw, Trash2, Database, FileText, AlertCircle, Lightbulb, Briefcase, DollarSign, TrendingUp, Calendar, Settings } from 'lucide-react';
 import { toast } from 'react-toastify';
 import api from '../services/api';
 
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? ['UTC', ...Intl.supportedValuesOf('timeZone').filter(zone => zone !== 'UTC')]
+  : ['UTC'];
+
+const CURRENCIES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('currency')
+  : ['USD'];
+
 const Profile = () => {
-  const { user } = useAuth();
+  const { user, refreshUser } = useAuth();
   const [showResetDialog, setShowResetDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [loading, setLoading] = useState(false);
   const [stats, setStats] = useState(null);
   const [statsLoading, setStatsLoading] = useState(true);
+  const [settings, setSettings] = useState(null);
+  const [savingSettings, setSavingSettings] = useState(false);
 
   const handleResetData = async () => {
     try {
@@ -42,8 +57,35 @@ const Profile = () => {
 
   useEffect(() => {
     fetchStats();
+    fetchSettings();
   }, []);
 
+  const fetchSettings = async () => {
+    try {
+      const response = await api.get('/api/profile/settings');
+      setSettings(response.data);
+    } catch (error) {
+      console.error('Error fetching reporting settings:', error);
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      setSavingSettings(true);
+      const response = await api.put('/api/profile/settings', settings);
+      const { jobId, ...saved } = response.data;
+      setSettings(saved);
+      await refreshUser();
+      toast.success(jobId
+        ? 'Reporting settings saved. Aggregates are being rebuilt; see the Jobs page for progress.'
+        : 'Reporting settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save reporting settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
   const fetchStats = async () => {
     try {
       setStatsLoading(true);
@@ -217,6 +259,75 @@ const Profile = () => {
           </CardContent>
         </Card>
 
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Settings className="h-5 w-5" />
+              Reporting
+            </CardTitle>
+            <CardDescription>How costs are rolled up into days, quarters and years, and the currency they are shown in</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {settings ? (
+              <>
+                <div className="space-y-2">
+                  <Label htmlFor="fiscalYearStartMonth">Fiscal Year Starts In</Label>
+                  <select
+                    id="fiscalYearStartMonth"
+                    value={settings.fiscalYearStartMonth}
+                    onChange={(e) => setSettings({ ...settings, fiscalYearStartMonth: parseInt(e.target.value) })}
+                    className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                  >
+                    {MONTH_NAMES.map((name, index) => (
+                      <option key={name} value={index + 1}>{name}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-muted-foreground">
+                    Quarterly and fiscal-year costs are recomputed when this changes
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="timezone">Timezone</Label>
+                  <select
+                    id="timezone"
+                    value={settings.timezone}
+                    onChange={(e) => setSettings({ ...settings, timezone: e.target.value })}
+                    className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                  >
+                    {(TIME_ZONES.includes(settings.timezone) ? TIME_ZONES : [settings.timezone, ...TIME_ZONES]).map(zone => (
+                      <option key={zone} value={zone}>{zone}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-muted-foreground">
+                    Days start at midnight in this timezone; all aggregates are recomputed when it changes
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="currency">Reporting Currency</Label>
+                  <select
+                    id="currency"
+                    value={settings.currency}
+                    onChange={(e) => setSettings({ ...settings, currency: e.target.value })}
+                    className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                  >
+                    {(CURRENCIES.includes(settings.currency) ? CURRENCIES : [settings.currency, ...CURRENCIES]).map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-muted-foreground">
+                    Costs are converted with the exchange rate of each day; all aggregates are recomputed when it changes
+                  </p>
+                </div>
+                <Button onClick={handleSaveSettings} disabled={savingSettings} className="w-full">
+                  {savingSettings ? 'Saving...' : 'Save Settings'}
+                </Button>
+              </>
+            ) : (
+              <Skeleton className="h-16 w-full" />
+            )}
+          </CardContent>
+        </Card>
+
         <Card>
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Bar, Line } from 'react-chartjs-2';
 import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { formatCurrency, currencyChartOptions } from '../lib/currency';
+import { toDateParam, formatDate } from '../lib/dates';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
@@ -9,26 +12,39 @@ import { Skeleton } from '../components/ui/skeleton';
 import { DollarSign, TrendingUp, FileText, RotateCcw } from 'lucide-react';
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
 
+// Cost measures of the costMetric parameter
+const COST_METRICS = [
+  { value: 'unblended', label: 'Unblended' },
+  { value: 'blended', label: 'Blended' },
+  { value: 'amortized', label: 'Amortized' },
+  { value: 'netAmortized', label: 'Net Amortized' }
+];
+
 const Summary = () => {
+  const { user } = useAuth();
+  const timeZone = user?.reporting?.timezone;
+  const currency = user?.reporting?.currency || 'USD';
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [startDate, setStartDate] = useState(null);
   const [endDate, setEndDate] = useState(null);
+  const [costMetric, setCostMetric] = useState('unblended');
   const [showResetDialog, setShowResetDialog] = useState(false);
 
   useEffect(() => {
     fetchSummary();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [startDate, endDate]);
+  }, [startDate, endDate, costMetric]);
 
   const fetchSummary = async () => {
     try {
       setLoading(true);
       const params = {
+        costMetric,
         _t: Date.now() // Cache busting
       };
-      if (startDate) params.startDate = startDate.toISOString();
-      if (endDate) params.endDate = endDate.toISOString();
+      if (startDate) params.startDate = toDateParam(startDate);
+      if (endDate) params.endDate = toDateParam(endDate);
 
       const response = await api.get('/api/summary', { params });
       console.log('Summary response:', response.data);
@@ -97,7 +113,7 @@ const Summary = () => {
   };
 
   const timeSeriesData = {
-    labels: summary.timeSeries.map(t => new Date(t.date).toLocaleDateString()),
+    labels: summary.timeSeries.map(t => formatDate(t.date, timeZone)),
     datasets: [
       {
         label: 'Daily Cost',
@@ -118,6 +134,16 @@ const Summary = () => {
           <p className="text-muted-foreground">Overview of your AWS costs</p>
         </div>
         <div className="flex items-center gap-2">
+          <select
+            value={costMetric}
+            onChange={(e) => setCostMetric(e.target.value)}
+            className="h-10 rounded-md border border-input bg-background px-3 py-2 text-sm"
+            aria-label="Cost measure"
+          >
+            {COST_METRICS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
           <DatePicker
             selected={startDate}
             onChange={(date) => setStartDate(date)}
@@ -190,7 +216,7 @@ const Summary = () => {
             <DollarSign className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">${summary.totals.totalCost.toFixed(2)}</div>
+            <div className="text-2xl font-bold">{formatCurrency(summary.totals.totalCost, summary.currency || currency)}</div>
             <p className="text-xs text-muted-foreground">Across all services</p>
           </CardContent>
         </Card>
@@ -223,7 +249,7 @@ const Summary = () => {
             <CardDescription>Top 10 services by cost</CardDescription>
           </CardHeader>
           <CardContent>
-            <Bar data={servicesData} options={{ responsive: true, maintainAspectRatio: false }} />
+            <Bar data={servicesData} options={currencyChartOptions(currency)} />
           </CardContent>
         </Card>
 
@@ -233,7 +259,7 @@ const Summary = () => {
             <CardDescription>Top 10 accounts by cost</CardDescription>
           </CardHeader>
           <CardContent>
-            <Bar data={accountsData} options={{ responsive: true, maintainAspectRatio: false }} />
+            <Bar data={accountsData} options={currencyChartOptions(currency)} />
           </CardContent>
         </Card>
       </div>
@@ -244,7 +270,7 @@ const Summary = () => {
           <CardDescription>Daily cost over time</CardDescription>
         </CardHeader>
         <CardContent>
-          <Line data={timeSeriesData} options={{ responsive: true, maintainAspectRatio: false }} />
+          <Line data={timeSeriesData} options={currencyChartOptions(currency)} />
         </CardContent>
       </Card>
     </div>
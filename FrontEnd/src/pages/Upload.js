@@ -1,13 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
+import { uploadFileInChunks } from '../services/chunkedUpload';
+import { subscribeToJobEvents, describeProgress, progressFraction } from '../services/jobEvents';
 import { toast } from 'react-toastify';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui/table';
 import { Skeleton } from '../components/ui/skeleton';
-import { Upload as UploadIcon, FileText, Eye, Clock, CheckCircle2, XCircle, AlertCircle } from 'lucide-react';
+import { Upload as UploadIcon, FileText, Eye, Clock, CheckCircle2, XCircle, AlertCircle, FileSearch, Ban } from 'lucide-react';
 
 const Upload = () => {
   const navigate = useNavigate();
@@ -15,11 +17,31 @@ const Upload = () => {
   const [uploading, setUploading] = useState(false);
   const [jobs, setJobs] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [mappingProfileId, setMappingProfileId] = useState('');
+  const [duplicateMode, setDuplicateMode] = useState('skip');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [activeJob, setActiveJob] = useState(null);
+  const unsubscribeRef = useRef(null);
 
   useEffect(() => {
     fetchJobs();
+    fetchMappingProfiles();
+    return () => unsubscribeRef.current?.();
   }, []);
 
+  const fetchMappingProfiles = async () => {
+    try {
+      const response = await api.get('/api/mapping-profile');
+      setMappingProfiles(response.data || []);
+    } catch (error) {
+      console.error('Error fetching mapping profiles:', error);
+      setMappingProfiles([]);
+    }
+  };
+
   const fetchJobs = async () => {
     try {
       const response = await api.get('/api/upload/history');
@@ -35,6 +57,66 @@ const Upload = () => {
     setFile(e.target.files[0]);
   };
 
+  const sendFile = async ({ dryRun }) => {
+    setUploadProgress(0);
+    try {
+      return await uploadFileInChunks(file, {
+        mappingProfileId,
+        duplicateMode,
+        dryRun,
+        onProgress: setUploadProgress
+      });
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const resetFileInput = () => {
+    setFile(null);
+    document.getElementById('file-input').value = '';
+  };
+
+  const handlePreview = async () => {
+    if (!file) {
+      toast.error('Please select a file');
+      return;
+    }
+
+    try {
+      setPreviewing(true);
+      setPreview(await sendFile({ dryRun: true }));
+      resetFileInput();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Preview failed. Select the same file again to resume.');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleConfirmPreview = async () => {
+    try {
+      setUploading(true);
+      const response = await api.post(`/api/upload/preview/${preview.job.id}/confirm`, { duplicateMode });
+      toast.success('Ingestion started. Processing in background...');
+      setPreview(null);
+      fetchJobs();
+      watchJob(response.data.job);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start ingestion');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleCancelPreview = async () => {
+    try {
+      await api.delete(`/api/upload/preview/${preview.job.id}`);
+    } catch (error) {
+      console.error('Error cancelling preview:', error);
+    }
+    setPreview(null);
+  };
+
   const handleUpload = async (e) => {
     e.preventDefault();
     if (!file) {
@@ -42,68 +124,51 @@ const Upload = () => {
       return;
     }
 
-    const formData = new FormData();
-    formData.append('file', file);
-
     try {
       setUploading(true);
-      const response = await api.post('/api/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const data = await sendFile({ dryRun: false });
       toast.success('File uploaded successfully. Processing in background...');
-      setFile(null);
-      document.getElementById('file-input').value = '';
+      resetFileInput();
       fetchJobs();
       
-      // Poll for job completion
-      if (response.data.job?.id) {
-        pollJobStatus(response.data.job.id);
+      // Follow the job's progress until it completes
+      if (data.job?.id) {
+        watchJob(data.job);
       }
     } catch (error) {
-      toast.error(error.response?.data?.error || 'Upload failed');
+      toast.error(error.response?.data?.error || 'Upload failed. Select the same file again to resume.');
     } finally {
       setUploading(false);
     }
   };
 
-  const pollJobStatus = async (jobId) => {
-    const maxAttempts = 60; // Poll for up to 5 minutes (60 * 5 seconds)
-    let attempts = 0;
-    
-    const poll = async () => {
-      try {
-        const response = await api.get(`/api/upload/job/${jobId}`);
-        const job = response.data;
-        
-        if (job.status === 'completed') {
-          toast.success(`File processing completed! ${job.rowsProcessed || 0} rows processed. Data will be available shortly.`);
-          fetchJobs();
-          // Trigger a page refresh or navigation to dashboard to see new data
-          // The user can manually refresh or navigate to see the data
-          return;
-        } else if (job.status === 'failed') {
+  const watchJob = (job) => {
+    unsubscribeRef.current?.();
+    setActiveJob({ id: job.id, fileName: job.fileName, progress: null });
+
+    unsubscribeRef.current = subscribeToJobEvents(job.id, {
+      onProgress: (update) => {
+        setActiveJob((current) => current && { ...current, progress: update.progress });
+      },
+      onComplete: (result) => {
+        if (result.status === 'completed') {
+          toast.success(`File processing completed! ${result.rowsProcessed || 0} rows processed.`);
+        } else if (result.status === 'failed') {
           toast.error('File processing failed. Please check the job details.');
-          fetchJobs();
-          return;
+        } else if (result.status === 'cancelled') {
+          toast.info('File processing was cancelled.');
         }
-        
-        attempts++;
-        if (attempts < maxAttempts) {
-          // Poll every 5 seconds
-          setTimeout(poll, 5000);
-        } else {
-          toast.info('File is still processing. Check the upload history for status.');
-        }
-      } catch (error) {
-        console.error('Error polling job status:', error);
-        // Stop polling on error
+        setActiveJob(null);
+        unsubscribeRef.current = null;
+        fetchJobs();
+      },
+      onError: (error) => {
+        toast.error(`Could not follow job progress: ${error.message}`);
+        setActiveJob(null);
+        unsubscribeRef.current = null;
+        fetchJobs();
       }
-    };
-    
-    // Start polling after 5 seconds
-    setTimeout(poll, 5000);
+    });
   };
 
   const getStatusBadge = (status) => {
@@ -112,7 +177,8 @@ const Upload = () => {
       processing: { variant: 'info', icon: Clock },
       completed: { variant: 'success', icon: CheckCircle2 },
       failed: { variant: 'destructive', icon: XCircle },
-      partial: { variant: 'warning', icon: AlertCircle }
+      partial: { variant: 'warning', icon: AlertCircle },
+      cancelled: { variant: 'secondary', icon: Ban }
     };
     return badges[status] || { variant: 'default', icon: FileText };
   };
@@ -121,7 +187,7 @@ const Upload = () => {
     <div className="space-y-6">
       <div>
         <h1 className="text-3xl font-bold tracking-tight">Upload Billing CSV</h1>
-        <p className="text-muted-foreground">Upload AWS billing CSV files for analysis</p>
+        <p className="text-muted-foreground">Upload AWS, Azure or GCP billing exports (CSV, JSON Lines, gzip, zip or Parquet) for analysis</p>
       </div>
 
       <Card>
@@ -130,28 +196,248 @@ const Upload = () => {
             <UploadIcon className="h-5 w-5" />
             Upload File
           </CardTitle>
-          <CardDescription>Select a CSV file to upload and process</CardDescription>
+          <CardDescription>Select a billing export to upload and process</CardDescription>
         </CardHeader>
         <CardContent>
           <form onSubmit={handleUpload} className="space-y-4">
             <div className="space-y-2">
-              <label className="text-sm font-medium">Select CSV File</label>
+              <label className="text-sm font-medium">Select Billing File</label>
               <input
                 id="file-input"
                 type="file"
-                accept=".csv"
+                accept=".csv,.gz,.zip,.parquet,.json,.jsonl"
                 onChange={handleFileChange}
                 className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm file:border-0 file:bg-transparent file:text-sm file:font-medium"
               />
             </div>
-            <Button type="submit" disabled={!file || uploading} className="gap-2">
-              <UploadIcon className="h-4 w-4" />
-              {uploading ? 'Uploading...' : 'Upload'}
-            </Button>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Column Mapping</label>
+              <select
+                value={mappingProfileId}
+                onChange={(e) => setMappingProfileId(e.target.value)}
+                className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              >
+                <option value="">Auto-detect (AWS, Azure, GCP, FOCUS)</option>
+                {mappingProfiles.map((profile) => (
+                  <option key={profile._id} value={profile._id}>
+                    {profile.name}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-muted-foreground">
+                Choose a saved mapping profile for reseller or chargeback CSVs with custom headers
+              </p>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Previously Ingested Rows</label>
+              <select
+                value={duplicateMode}
+                onChange={(e) => setDuplicateMode(e.target.value)}
+                className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              >
+                <option value="skip">Skip rows that were already ingested</option>
+                <option value="replace">Replace existing rows with this file</option>
+                <option value="version">Replace existing rows and keep the old values as a version</option>
+                <option value="period">Replace the whole billing period (restated bills)</option>
+              </select>
+              <p className="text-xs text-muted-foreground">
+                Applies when this file overlaps a billing period you have uploaded before
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                disabled={!file || uploading || previewing}
+                onClick={handlePreview}
+                className="gap-2"
+              >
+                <FileSearch className="h-4 w-4" />
+                {previewing ? 'Checking...' : 'Preview'}
+              </Button>
+              <Button type="submit" disabled={!file || uploading || previewing} className="gap-2">
+                <UploadIcon className="h-4 w-4" />
+                {uploading ? 'Uploading...' : 'Upload'}
+              </Button>
+            </div>
+            {uploadProgress !== null && (
+              <div className="space-y-1">
+                <div className="h-2 w-full overflow-hidden rounded-full bg-secondary">
+                  <div
+                    className="h-full bg-primary transition-all"
+                    style={{ width: `${Math.round(uploadProgress * 100)}%` }}
+                  />
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {uploadProgress < 1
+                    ? `Uploading ${Math.round(uploadProgress * 100)}%`
+                    : 'Verifying and assembling file...'}
+                </p>
+              </div>
+            )}
           </form>
         </CardContent>
       </Card>
 
+      {activeJob && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Clock className="h-5 w-5" />
+              Processing: {activeJob.fileName}
+            </CardTitle>
+            <CardDescription>{describeProgress(activeJob.progress)}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <div className="h-2 w-full overflow-hidden rounded-full bg-secondary">
+              <div
+                className="h-full bg-primary transition-all"
+                style={{ width: `${Math.round((progressFraction(activeJob.progress) || 0) * 100)}%` }}
+              />
+            </div>
+            <div className="flex justify-between text-xs text-muted-foreground">
+              <span>
+                {progressFraction(activeJob.progress) !== null
+                  ? `${Math.round(progressFraction(activeJob.progress) * 100)}% of file read`
+                  : 'Reading file...'}
+              </span>
+              <Button variant="link" size="sm" className="h-auto p-0" onClick={() => navigate(`/jobs/${activeJob.id}`)}>
+                View Details
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {preview && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <FileSearch className="h-5 w-5" />
+              Preview: {preview.job.fileName}
+            </CardTitle>
+            <CardDescription>
+              First {preview.preview.rowsRead} rows checked. Nothing has been ingested yet.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid gap-4 md:grid-cols-4">
+              <div>
+                <p className="text-sm text-muted-foreground">Detected Format</p>
+                <p className="font-medium">
+                  {preview.preview.format ? preview.preview.format.toUpperCase() : 'Unrecognized'}
+                  {' '}({preview.preview.fileType})
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-muted-foreground">Valid Rows</p>
+                <p className="font-medium">
+                  {preview.preview.validRows} / {preview.preview.rowsRead}
+                  {preview.preview.duplicateRows > 0 && (
+                    <span className="text-sm text-muted-foreground"> ({preview.preview.duplicateRows} already ingested)</span>
+                  )}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-muted-foreground">Date Range</p>
+                <p className="font-medium">
+                  {preview.preview.dateRange
+                    ? `${new Date(preview.preview.dateRange.start).toLocaleDateString()} - ${new Date(preview.preview.dateRange.end).toLocaleDateString()}`
+                    : 'N/A'}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-muted-foreground">Accounts</p>
+                <p className="font-medium break-all">
+                  {preview.preview.accountIds.length > 0 ? preview.preview.accountIds.join(', ') : 'N/A'}
+                </p>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium">Mapped Columns ({preview.preview.mappedColumns.length})</p>
+              <div className="flex flex-wrap gap-1">
+                {preview.preview.mappedColumns.map((column) => (
+                  <Badge key={column} variant="success">{column}</Badge>
+                ))}
+              </div>
+            </div>
+            {preview.preview.unmappedColumns.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium">Unmapped Columns ({preview.preview.unmappedColumns.length})</p>
+                <div className="flex flex-wrap gap-1">
+                  {preview.preview.unmappedColumns.map((column) => (
+                    <Badge key={column} variant="outline">{column}</Badge>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {preview.preview.sampleRows.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium">Sample Rows</p>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Usage Start</TableHead>
+                      <TableHead>Account</TableHead>
+                      <TableHead>Service</TableHead>
+                      <TableHead>Region</TableHead>
+                      <TableHead>Usage Type</TableHead>
+                      <TableHead className="text-right">Cost</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {preview.preview.sampleRows.map((row, index) => (
+                      <TableRow key={index}>
+                        <TableCell>
+                          {row.usageStartDate ? new Date(row.usageStartDate).toLocaleString() : 'N/A'}
+                        </TableCell>
+                        <TableCell>{row.accountId}</TableCell>
+                        <TableCell>{row.service}</TableCell>
+                        <TableCell>{row.region}</TableCell>
+                        <TableCell>{row.usageTypeNormalized || 'N/A'}</TableCell>
+                        <TableCell className="text-right">${(row.cost || 0).toFixed(4)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+
+            {preview.preview.errors.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-destructive">
+                  Row Errors ({preview.preview.errors.length})
+                </p>
+                <ul className="max-h-48 overflow-y-auto text-sm text-muted-foreground space-y-1">
+                  {preview.preview.errors.map((error, index) => (
+                    <li key={index}>
+                      {error.row > 0 ? `Row ${error.row}: ` : ''}{error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <Button
+                onClick={handleConfirmPreview}
+                disabled={!preview.preview.format || uploading}
+                className="gap-2"
+              >
+                <CheckCircle2 className="h-4 w-4" />
+                {uploading ? 'Starting...' : 'Confirm & Ingest'}
+              </Button>
+              <Button variant="outline" onClick={handleCancelPreview} disabled={uploading} className="gap-2">
+                <XCircle className="h-4 w-4" />
+                Cancel
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       <Card>
         <CardHeader>
           <CardTitle>Upload History</CardTitle>
@@ -0,0 +1,108 @@
+import api from './api';
+
+const MAX_PART_ATTEMPTS = 5;
+const STORAGE_PREFIX = 'upload-session:';
+
+// Identifies a local file across page reloads so an interrupted upload can resume
+const storageKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+// SHA-256 of a part; WebCrypto is only available in secure contexts (HTTPS or localhost)
+const hashPart = async (blob) => {
+  if (!window.crypto?.subtle) return null;
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return toHex(digest);
+};
+
+/**
+ * Find the server session of an earlier, interrupted upload of this file
+ */
+const findResumableSession = async (file) => {
+  const sessionId = localStorage.getItem(storageKey(file));
+  if (!sessionId) return null;
+
+  try {
+    const response = await api.get(`/api/upload/sessions/${sessionId}`);
+    if (response.data.status === 'uploading') {
+      return response.data;
+    }
+  } catch (error) {
+    // Expired or cancelled; start over
+  }
+  localStorage.removeItem(storageKey(file));
+  return null;
+};
+
+/**
+ * Send one part, retrying with backoff on network errors and server failures
+ */
+const uploadPart = async (session, file, partNumber) => {
+  const start = (partNumber - 1) * session.chunkSize;
+  const blob = file.slice(start, Math.min(start + session.chunkSize, file.size));
+  const checksum = await hashPart(blob);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await api.put(`/api/upload/sessions/${session.id}/parts/${partNumber}`, blob, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          ...(checksum && { 'X-Part-Checksum': checksum })
+        }
+      });
+      return blob.size;
+    } catch (error) {
+      const status = error.response?.status;
+      // Client errors other than a corrupted part will not succeed on retry
+      const corrupted = status === 400 && /checksum/i.test(error.response?.data?.error || '');
+      if (attempt >= MAX_PART_ATTEMPTS || (status && status < 500 && !corrupted)) {
+        throw error;
+      }
+      await sleep(Math.min(1000 * 2 ** attempt, 30000));
+    }
+  }
+};
+
+/**
+ * Upload a file in parts, resuming an interrupted upload of the same file, then complete it.
+ * Resolves with the same response as a single-request upload (the job, plus a preview on dry runs).
+ */
+export const uploadFileInChunks = async (file, { mappingProfileId, duplicateMode, dryRun, onProgress }) => {
+  let session = await findResumableSession(file);
+  if (!session) {
+    const response = await api.post('/api/upload/sessions', {
+      fileName: file.name,
+      fileSize: file.size,
+      mappingProfileId: mappingProfileId || undefined,
+      duplicateMode
+    });
+    session = response.data;
+    localStorage.setItem(storageKey(file), session.id);
+  }
+
+  const received = new Set(session.receivedParts);
+  let uploadedBytes = session.receivedParts.reduce(
+    (total, partNumber) => total + Math.min(session.chunkSize, file.size - (partNumber - 1) * session.chunkSize),
+    0
+  );
+  onProgress?.(uploadedBytes / file.size);
+
+  for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+    if (received.has(partNumber)) continue;
+    uploadedBytes += await uploadPart(session, file, partNumber);
+    onProgress?.(uploadedBytes / file.size);
+  }
+
+  const response = await api.post(
+    `/api/upload/sessions/${session.id}/complete`,
+    {},
+    { params: dryRun ? { dryRun: true } : {} }
+  );
+  localStorage.removeItem(storageKey(file));
+  return response.data;
+};
@@ -0,0 +1,118 @@
+import api from './api';
+
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Split a Server-Sent Events buffer into complete { event, data } messages and the unparsed rest
+ */
+const parseEvents = (buffer) => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  blocks.forEach((block) => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    // Lines starting with ':' are keep-alive comments
+    if (data.length > 0) {
+      events.push({ event, data: JSON.parse(data.join('\n')) });
+    }
+  });
+
+  return { events, rest };
+};
+
+/**
+ * Subscribe to a job's live progress (GET /api/job/:id/events).
+ * EventSource cannot send the auth header, so the stream is read with fetch.
+ * Handlers: onProgress(job), onPhase(phase), onComplete(job), and onError(error) when the
+ * request is refused (4xx); network errors and 5xx are retried. Returns an unsubscribe function.
+ */
+export const subscribeToJobEvents = (jobId, { onProgress, onPhase, onComplete, onError }) => {
+  const controller = new AbortController();
+  let completed = false;
+
+  const connect = async () => {
+    try {
+      const response = await fetch(`${api.defaults.baseURL}/api/job/${jobId}/events`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        const error = new Error(`Job events request failed with status ${response.status}`);
+        error.status = response.status;
+        if (response.status < 500) {
+          // Retrying will not help, e.g. the job was deleted or the session expired
+          const body = await response.json().catch(() => ({}));
+          if (body.error) error.message = body.error;
+          onError?.(error);
+          return;
+        }
+        throw error;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        const parsed = parseEvents(buffer + decoder.decode(value, { stream: true }));
+        buffer = parsed.rest;
+        parsed.events.forEach(({ event, data }) => {
+          if (event === 'progress') onProgress?.(data);
+          else if (event === 'phase') onPhase?.(data.phase);
+          else if (event === 'complete') {
+            completed = true;
+            onComplete?.(data);
+          }
+        });
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('Error streaming job events:', error);
+    }
+
+    // The connection dropped before the job finished; pick the stream up again
+    if (!completed && !controller.signal.aborted) {
+      setTimeout(connect, RECONNECT_DELAY_MS);
+    }
+  };
+
+  connect();
+  return () => controller.abort();
+};
+
+/**
+ * Human-readable progress line, e.g. "Inserting: 120,000 rows, 4,000 rows/s, about 2 min left"
+ */
+export const describeProgress = (progress) => {
+  if (!progress?.phase) return 'Waiting for a worker...';
+
+  const parts = [`${progress.rowsRead?.toLocaleString() || 0} rows`];
+  if (progress.rowsPerSecond) {
+    parts.push(`${progress.rowsPerSecond.toLocaleString()} rows/s`);
+  }
+  if (progress.phase !== 'finished' && progress.etaSeconds != null) {
+    parts.push(progress.etaSeconds < 60
+      ? `about ${progress.etaSeconds}s left`
+      : `about ${Math.ceil(progress.etaSeconds / 60)} min left`);
+  }
+
+  const phase = progress.phase.charAt(0).toUpperCase() + progress.phase.slice(1);
+  return `${phase}: ${parts.join(', ')}`;
+};
+
+/**
+ * Share of the file read so far (0-1), or null when the reader cannot tell (Parquet)
+ */
+export const progressFraction = (progress) => {
+  if (!progress?.bytesTotal || progress.bytesRead == null) return null;
+  return Math.min(progress.bytesRead / progress.bytesTotal, 1);
+};